@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+// mlm – boot and inspect mlm applications without a bootstrap script
+
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, access } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import path from 'node:path';
+import mlm, { formatGraph, formatTrace } from '../mlm-core.js';
+
+const USAGE = `Usage: mlm <command> [options]
+
+Commands:
+  run <units...>        install and start units, stop on SIGINT/SIGTERM
+  repl <units...>       install and start units, then open a REPL
+  analyze <units...>    show dependencies without installing
+  list [search]         list available units
+
+Options:
+  -c, --config <file>   JSON file with the start config
+  -p, --project <file>  project config (default: mlm.config.js, .mjs or .json)
+  -u, --units <dir>     unit directory, may be repeated (default: ./units)
+  -f, --format <fmt>    analyze output: text, json, dot or mermaid (default: text)
+      --candidates <u>  comma-separated units that analyze may use as tag providers
+      --json            list output as JSON
+      --no-start        repl without starting the units
+      --trace <file>    write a Chrome trace of install and start to file, print a summary
+  -h, --help            show this help
+`;
+
+const PROJECT_FILES = ['mlm.config.js', 'mlm.config.mjs', 'mlm.config.json'];
+
+const exists = (file) => access(file).then(() => true, () => false);
+
+const readJSON = async (file) => JSON.parse(await readFile(file, 'utf8'));
+
+// the project config file is a module exporting options for mlm(), plus `units` (directories) and `config`
+async function loadProject(file) {
+  if (!file) {
+    for (const candidate of PROJECT_FILES) {
+      if (await exists(candidate)) {
+        file = candidate;
+        break;
+      }
+    }
+    if (!file) return { dir: process.cwd(), options: {} };
+  }
+  const resolved = path.resolve(file);
+  const options = resolved.endsWith('.json')
+    ? await readJSON(resolved)
+    : (await import(pathToFileURL(resolved).href)).default ?? {};
+  return { dir: path.dirname(resolved), options };
+}
+
+// find name.js or name.mjs in the first unit directory that has it
+const resolveFrom = (dirs) => async (name) => {
+  for (const dir of dirs) {
+    for (const ext of ['.js', '.mjs']) {
+      const file = path.join(dir, name + ext);
+      if (await exists(file)) return pathToFileURL(file).href;
+    }
+  }
+  return pathToFileURL(path.join(dirs[0], name + '.js')).href;
+}
+
+async function createKernel(values) {
+  const { dir, options } = await loadProject(values.project);
+  const { units, config, ...kernelOptions } = options;
+  const dirs = values.units?.length
+    ? values.units.map(unitDir => path.resolve(unitDir))
+    : [].concat(units ?? './units').map(unitDir => path.resolve(dir, unitDir));
+  const app = mlm({
+    resolveModule: resolveFrom(dirs),
+    ...kernelOptions,
+    trace: !!values.trace || kernelOptions.trace,
+    catalog: { dirs, ...kernelOptions.catalog }
+  });
+  const startConfig = values.config ? await readJSON(values.config) : config ?? {};
+  return { app, startConfig };
+}
+
+async function boot(values, names, { start = true } = {}) {
+  if (!names.length) throw new Error('No units given.');
+  const { app, startConfig } = await createKernel(values);
+  // the trace is written even if booting fails, since that is when it helps most
+  try {
+    for (const name of names) await app.install(name);
+    if (start) await app.start(startConfig);
+  } catch (e) {
+    // units that did start still get their onStop and onShutdown hooks
+    if (['started', 'failed'].includes(app.state)) await app.stop().catch(stopError => console.error(stopError.message));
+    throw e;
+  } finally {
+    if (values.trace) {
+      await writeFile(values.trace, formatTrace(app.spans, 'chrome'));
+      console.log(formatTrace(app.spans, 'summary'));
+      console.log(`Trace written to ${values.trace}`);
+    }
+  }
+  return app;
+}
+
+const commands = {
+  async run(values, names) {
+    const app = await boot(values, names);
+    // without it, units that hold no timer or socket would let the process end without stopping
+    const keepAlive = setInterval(() => { }, 2 ** 30);
+    app.once('kernel:stopped', () => clearInterval(keepAlive));
+    app.handleSignals();
+    app.log('Running, press Ctrl+C to stop.');
+  },
+
+  async repl(values, names) {
+    const app = await boot(values, names, { start: !values['no-start'] });
+    await app.repl();
+    if (['started', 'failed'].includes(app.state)) await app.stop();
+    process.exit(0);
+  },
+
+  async analyze(values, names) {
+    if (!names.length) throw new Error('No units given.');
+    const { app } = await createKernel(values);
+    const candidates = values.candidates?.split(',').filter(Boolean) ?? [];
+    const result = await app.analyze(names, { candidates });
+    if (values.format === 'text') {
+      console.log('Install order:', result.order.join(' -> ') || '(none)');
+      for (const [tag, provider] of Object.entries(result.tags)) console.log(`  ${tag} provided by ${provider}`);
+      for (const warning of result.warnings) console.log('Warning:', warning);
+      for (const error of result.errors) console.log('Error:', error);
+    } else {
+      console.log(formatGraph(result, values.format));
+    }
+    if (!result.success) process.exitCode = 1;
+  },
+
+  async list(values, [filter]) {
+    const { app } = await createKernel(values);
+    const entries = await app.catalog({ filter });
+    if (values.json) {
+      console.log(JSON.stringify(entries, null, 2));
+      return;
+    }
+    const rows = entries.map(entry => [
+      entry.name,
+      entry.version ?? '',
+      entry.provides?.join(' ') ?? '',
+      entry.error ? `ERROR: ${entry.error}` : entry.description
+    ]);
+    const widths = [0, 1, 2].map(i => Math.max(0, ...rows.map(row => row[i].length)));
+    for (const row of rows) {
+      console.log(row.map((cell, i) => i < 3 ? cell.padEnd(widths[i]) : cell).join('  '));
+    }
+  }
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      config: { type: 'string', short: 'c' },
+      project: { type: 'string', short: 'p' },
+      units: { type: 'string', short: 'u', multiple: true },
+      format: { type: 'string', short: 'f', default: 'text' },
+      candidates: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      'no-start': { type: 'boolean', default: false },
+      trace: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!commands[command]) throw new Error(`Unknown command '${command}'.\n\n${USAGE}`);
+  await commands[command](values, args);
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -1,12 +1,478 @@
-declare module 'mlm-core' {
-  export default class MLM {
-    constructor(
-      importModule: (path: string) => Promise<any>,
-      resolveModule: (name: string) => Promise<string>
-    );
-    install(name: string): Promise<void>;
-    start(...names: string[]): Promise<void>;
-    stop(): Promise<void>;
-    readonly modules: Record<string, any>;
-  }
-}
\ No newline at end of file
+// Type declarations for mlm-core.
+//
+// Units extend MLMContext to declare the context properties they define:
+//
+//   declare module 'mlm-core' {
+//     interface MLMContext {
+//       logger: AppLogger;
+//     }
+//   }
+
+/** Context properties defined by units, shared by the kernel and every unit. Augment to type your services. */
+export interface MLMContext {}
+
+export type KernelState =
+  | 'idle'
+  | 'installing'
+  | 'uninstalling'
+  | 'reloading'
+  | 'starting'
+  | 'started'
+  | 'failed'
+  | 'stopping'
+  | 'shutdown'
+  | 'stopped';
+
+export type HookPhase = 'onStart' | 'onStop' | 'onShutdown';
+
+export type UnitPhase = 'installed' | 'starting' | 'started' | 'failed' | 'stopping' | 'stopped';
+
+export type InstallPhase =
+  | 'import'
+  | 'context'
+  | 'conflicts'
+  | 'factory'
+  | 'validate'
+  | 'onBeforeLoad'
+  | 'requires'
+  | 'optional'
+  | 'provides'
+  | 'onPrepare'
+  | 'inject'
+  | 'register'
+  | `loader ${string}`
+  | 'onReady'
+  | 'start';
+
+export type KernelAction = 'install' | 'uninstall' | 'reload' | 'start' | 'stop' | 'restart';
+
+export interface Transition {
+  /** States the action may run from. */
+  readonly from: readonly KernelState[];
+  /** State while the action runs. */
+  readonly via: KernelState;
+  /** State afterwards, null for the state it started from. */
+  readonly to: KernelState | null;
+}
+
+export type Listener = (...args: any[]) => unknown;
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+export interface LogRecord {
+  /** ISO timestamp. */
+  time: string;
+  level: LogLevel;
+  namespace: string;
+  /** The arguments formatted like console.log does, without the fields. */
+  message: string;
+  /** A trailing plain object after the message. */
+  fields: Record<string, unknown>;
+  args: unknown[];
+}
+
+/** Logs at info level when called. */
+export interface Logger {
+  (...args: unknown[]): void;
+  debug(...args: unknown[]): void;
+  info(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+  enabled(level: LogLevel): boolean;
+  /** A logger for '<namespace>:<name>'. */
+  child(name: string): Logger;
+}
+
+export interface LogOptions {
+  level?: LogLevel;
+  /** Levels by namespace; a unit's entry also covers its child namespaces. */
+  levels?: Record<string, LogLevel>;
+  format?: 'text' | 'json';
+  sink?: (record: LogRecord) => void;
+}
+
+/** Type checks from with-type-checkers, e.g. `ctx.assert.is('string|none', value, 'label')`. */
+export interface TypeCheckers {
+  log: Logger;
+  throw(message: string): never;
+  assert: ((condition: unknown, message?: string) => void) & {
+    is: ((type: string | Record<string, unknown>, value: unknown, label?: string) => void) &
+      Record<string, (value: unknown, label?: string) => void>;
+  };
+  is: ((type: string | Record<string, unknown>, value: unknown) => boolean) & Record<string, (value: unknown) => boolean>;
+}
+
+/** What a unit's factory and services receive: its own helpers on top of the shared context. */
+export type UnitContext<C extends object = MLMContext> = Readonly<C> & TypeCheckers & {
+  /** Modules imported from info.packages, by key. */
+  readonly packages: Record<string, any>;
+  /** Listeners added here are removed when the unit is uninstalled. */
+  on(event: string, fn: Listener): () => void;
+  once(event: string, fn: Listener): () => void;
+  off(event: string, fn: Listener): void;
+  emit(event: string, ...args: unknown[]): void;
+  emitSerial(event: string, ...args: unknown[]): Promise<void>;
+  providersOf(dep: string): Unit[];
+  /** Whether a unit or #tag is installed, e.g. to check on optional dependencies. */
+  has(dep: string): boolean;
+  readonly [key: string]: any;
+};
+
+/** A config option: a type expression, a field spec, or a nested schema. */
+export type ConfigField =
+  | string
+  | { type: string; default?: unknown; env?: string }
+  | ConfigSchema;
+
+export interface ConfigSchema {
+  [option: string]: ConfigField;
+}
+
+/** The `info` export of a unit module. */
+export interface UnitInfo {
+  description?: string;
+  version?: string;
+  author?: string;
+  /** Unit names or #tags, optionally with a version range, e.g. 'database@^2.1'. */
+  requires?: string | string[];
+  /** Like requires, but installed only if available. */
+  optional?: string | string[];
+  /** Units or #tags, with an optional range, that must not be installed alongside this one. */
+  conflicts?: string | string[];
+  provides?: string[];
+  packages?: string | Record<string, string> | Array<string | Record<string, string>>;
+  /** Time limits in milliseconds, overriding the kernel's `timeouts`. */
+  timeouts?: Partial<Record<HookPhase | 'healthCheck', number>>;
+  config?: ConfigSchema;
+}
+
+/** `info` after normalization, as found on installed units. */
+export interface ResolvedUnitInfo {
+  description: string;
+  version: string | null;
+  author: string | null;
+  requires: string[];
+  optional: string[];
+  constraints: Record<string, string>;
+  conflicts: Array<{ name: string; range: string | null }>;
+  provides: string[];
+  packages: Record<string, string>;
+  timeouts: Partial<Record<HookPhase | 'healthCheck', number>>;
+  config: ConfigSchema | null;
+}
+
+export interface ServiceSpec<T = unknown, C extends object = MLMContext> {
+  factory: (ctx: UnitContext<C>) => T;
+  /** Created on first access, then cached. */
+  lazy?: boolean;
+  /** Created anew on every access. */
+  transient?: boolean;
+}
+
+/** A define entry: a factory called once at install time, a service spec, or a property descriptor. */
+export type DefineSpec<T = unknown, C extends object = MLMContext> =
+  | ((ctx: UnitContext<C>) => T | Promise<T>)
+  | ServiceSpec<T, C>
+  | PropertyDescriptor;
+
+export type Definitions<C extends object = MLMContext> =
+  { [K in keyof C]?: DefineSpec<C[K], C> } & { [key: string]: DefineSpec<any, C> };
+
+export type Decorators<C extends object = MLMContext> =
+  { [K in keyof C]?: (original: C[K], ctx: UnitContext<C>) => C[K] | Promise<C[K]> } &
+  { [key: string]: (original: any, ctx: UnitContext<C>) => any };
+
+export type Lifetime = 'singleton' | 'lazy' | 'transient';
+
+export interface Provenance {
+  stub: boolean;
+  definedBy: string | null;
+  overriddenBy: string | null;
+  decoratedBy: string[];
+  lifetime: Lifetime;
+  /** Oldest first. */
+  layers: Array<{ kind: 'define' | 'override' | 'decorate'; unit: string }>;
+}
+
+/** Handles a config key of every unit installed after it; a returned function runs on uninstall. */
+export type Loader = (conf: any, unit: Unit) => void | (() => unknown) | Promise<void | (() => unknown)>;
+
+/** Turns a config key into an extra config layer for the unit. */
+export type Injector = (conf: any, unit: Unit) => UnitConfig | void | Promise<UnitConfig | void>;
+
+/** What a unit factory returns. Keys handled by registered loaders may appear alongside the built-in ones. */
+export interface UnitConfig<C extends object = MLMContext> {
+  onBeforeLoad?(): unknown;
+  onPrepare?(): unknown;
+  onReady?(): unknown;
+  /** Receives the unit's validated config slice, or the whole start config without an info.config schema. */
+  onStart?(config: any): unknown;
+  onStop?(): unknown;
+  onShutdown?(): unknown;
+  /** Describes in-flight work while the process drains after a signal. */
+  onDrain?(): unknown;
+  /** Fails by throwing or returning false; any other return value is reported as details. */
+  healthCheck?(): unknown;
+  define?: Definitions<C>;
+  /** Replace properties defined by other units. */
+  override?: Definitions<C>;
+  /** Wrap properties defined by other units. */
+  decorate?: Decorators<C>;
+  inject?: Record<string, Injector>;
+  register?: Record<string, Loader>;
+  /** REPL commands, available while the unit is installed. */
+  repl?: Record<string, ReplCommand>;
+  [key: string]: unknown;
+}
+
+/** Receives the rest of the command line; the result is printed. */
+export type ReplCommand =
+  | ((arg: string) => unknown)
+  | { help?: string; action: (arg: string) => unknown };
+
+export type UnitFactory<C extends object = MLMContext> =
+  (ctx: UnitContext<C>) => UnitConfig<C> | Promise<UnitConfig<C>>;
+
+export interface UnitModule<C extends object = MLMContext> {
+  info: UnitInfo;
+  default?: UnitFactory<C>;
+}
+
+/** An installed unit: its config, with the normalized info and its module. */
+export interface Unit extends UnitConfig {
+  readonly name: string;
+  info: ResolvedUnitInfo;
+  module: UnitModule;
+}
+
+export interface SignalOptions {
+  signals?: string[];
+  /** Also stop on uncaught exceptions and unhandled rejections. Default true. */
+  errors?: boolean;
+  drainTimeout?: number;
+  reportInterval?: number;
+  exit?: (code: number) => unknown;
+}
+
+export interface ProviderSpec {
+  units?: string[];
+  /** Install every available provider instead of the first one. */
+  multiple?: boolean;
+}
+
+export interface CatalogOptions {
+  dirs?: string[];
+  enumerate?: () => string[] | Promise<string[]>;
+  filter?: string | ((entry: CatalogEntry) => boolean);
+}
+
+export interface CatalogEntry {
+  name: string;
+  path: string;
+  installed: boolean;
+  error: string | null;
+  description?: string;
+  version?: string | null;
+  author?: string | null;
+  provides?: string[];
+  requires?: string[];
+  optional?: string[];
+  conflicts?: string[];
+}
+
+export interface GraphNode {
+  id: string;
+  version: string | null;
+  description: string | null;
+  provides: string[];
+  installed: boolean;
+  failed: boolean;
+}
+
+export interface GraphEdge {
+  from: string;
+  to: string;
+  tag: string | null;
+  range: string | null;
+  optional: boolean;
+}
+
+export interface AnalyzedUnit {
+  name: string;
+  path: string | null;
+  version: string | null;
+  requires: string[];
+  constraints: Record<string, string>;
+  provides: string[];
+  installed: boolean;
+}
+
+export interface AnalyzeResult {
+  units: AnalyzedUnit[];
+  /** Chosen provider per tag. */
+  tags: Record<string, string>;
+  errors: string[];
+  warnings: string[];
+  cycles: string[][];
+  duplicates: Record<string, string[]>;
+  order: string[];
+  graph: { nodes: GraphNode[]; edges: GraphEdge[] };
+  success: boolean;
+}
+
+export interface HealthResult {
+  healthy: boolean;
+  /** What the health check returned, an array when the unit has several. */
+  details: unknown;
+  error: string | null;
+  duration: number;
+}
+
+export interface UnitStatus {
+  phase: UnitPhase;
+  version: string | null;
+  /** Timestamps and durations in milliseconds. */
+  timings: {
+    installedAt: number;
+    startedAt: number | null;
+    stoppedAt: number | null;
+    startDuration: number | null;
+    stopDuration: number | null;
+  };
+  /** Only started units are checked. */
+  health: HealthResult | null;
+}
+
+export interface KernelStatus {
+  state: KernelState;
+  /** Started, with every health check passing. */
+  healthy: boolean;
+  units: Record<string, UnitStatus>;
+}
+
+export interface Span {
+  /** null for the kernel's own start and stop. */
+  unit: string | null;
+  name: string;
+  cat: 'install' | 'lifecycle' | 'kernel';
+  /** Milliseconds since the kernel was created. */
+  start: number;
+  duration: number;
+  error: string | null;
+}
+
+export interface MLMOptions {
+  /** Also called with only a path, for packages and the catalog. */
+  import?: (path: string, options?: { reload?: boolean }) => Promise<UnitModule>;
+  resolveModule?: (name: string) => string | Promise<string>;
+  sequential?: boolean;
+  timeouts?: Partial<Record<HookPhase | 'healthCheck', number>>;
+  signals?: boolean | SignalOptions;
+  env?: Record<string, string | undefined>;
+  providers?: Record<string, string[] | ProviderSpec>;
+  catalog?: Omit<CatalogOptions, 'filter'>;
+  stubs?: Partial<MLMContext> & Record<string, unknown>;
+  /** A function receives every record at info level and above as (namespace, ...args). */
+  log?: LogOptions | ((namespace: string, ...args: unknown[]) => void);
+  isolation?: false | 'audit' | 'strict';
+  trace?: boolean;
+  /** Fail start() on unit config keys that no loader handled, instead of warning. */
+  strict?: boolean;
+}
+
+/** Defaults to the parent's options, without its stubs. */
+export interface ChildOptions extends Omit<MLMOptions, 'signals'> {
+  /** Prefixes the logger namespaces; defaults to child1, child2, ... */
+  name?: string;
+}
+
+export interface MLM extends TypeCheckers {
+  readonly context: MLMContext & Record<string, any>;
+  readonly units: Record<string, Unit>;
+  readonly state: KernelState;
+  readonly transitions: Readonly<Record<KernelAction, Transition>>;
+  can(action: KernelAction): boolean;
+  /** Recorded with the trace option, empty otherwise. */
+  readonly spans: Span[];
+
+  install(name: string): Promise<void>;
+  uninstall(name: string, options?: { cascade?: boolean }): Promise<void>;
+  reload(name: string): Promise<void>;
+  /** The start config is keyed by unit name; the previous one (or {}) is used if omitted. */
+  start(config?: Record<string, any>): Promise<void>;
+  stop(): Promise<void>;
+  restart(config?: Record<string, any>): Promise<void>;
+  /** A kernel whose context inherits this one's; it is stopped before this one stops. */
+  createChild(options?: ChildOptions): MLM;
+
+  /** Returns a function that removes the handlers again. */
+  handleSignals(options?: SignalOptions): () => void;
+  status(options?: { timeout?: number }): Promise<KernelStatus>;
+  providersOf(dep: string): Unit[];
+  /** null for properties no unit defined. */
+  provenance(name: string): Provenance | null;
+  provenance(): Record<string, Provenance | null>;
+  catalog(options?: CatalogOptions): Promise<CatalogEntry[]>;
+  analyze(names: string | string[], options?: { candidates?: string[] }): Promise<AnalyzeResult>;
+  repl(
+    ctx?: Record<string, unknown>,
+    /** input and output are Node streams and default to the terminal. */
+    options?: { screen?: boolean; input?: object; output?: { write(chunk: string): unknown } }
+  ): Promise<void>;
+
+  on(event: string, fn: Listener): () => void;
+  once(event: string, fn: Listener): () => void;
+  off(event: string, fn: Listener): void;
+  emit(event: string, ...args: unknown[]): void;
+  emitSerial(event: string, ...args: unknown[]): Promise<void>;
+}
+
+export default function mlm(options?: MLMOptions): MLM;
+
+export class InstallError extends Error {
+  constructor(unit: string, phase: InstallPhase, cause: unknown);
+  unit: string;
+  phase: InstallPhase;
+  /** Chain of units that pulled in the failing one, outermost first. */
+  path: string[];
+}
+
+export class HookError extends Error {
+  constructor(unit: string, phase: HookPhase, cause: unknown);
+  unit: string;
+  phase: HookPhase;
+}
+
+export class LifecycleError extends AggregateError {
+  constructor(phase: 'start' | 'stop', errors: HookError[]);
+  errors: HookError[];
+  phase: 'start' | 'stop';
+}
+
+export class ConfigError extends Error {
+  constructor(errors: Record<string, string[]>);
+  /** Messages per unit. */
+  errors: Record<string, string[]>;
+}
+
+export function formatGraph(result: AnalyzeResult, format?: 'json' | 'dot' | 'mermaid'): string;
+
+export function formatTrace(spans: Span[], format?: 'chrome' | 'summary' | 'json'): string;
+
+export interface TestKernelOptions extends Omit<MLMOptions, 'import' | 'resolveModule' | 'log'> {
+  /** Modules, or bare unit factories, by unit name. */
+  units?: Record<string, UnitModule | UnitFactory>;
+}
+
+export interface TestKernel {
+  mlm: MLM;
+  context: MLM['context'];
+  logs: Array<{ source: string; level: LogLevel; args: unknown[]; message: string }>;
+  /** '<unit>:<hook>' entries in the order the hooks ran. */
+  lifecycle: string[];
+  install(...names: string[]): Promise<void>;
+  logsOf(source: string): string[];
+  assertOrder(expected: string[]): void;
+}
+
+export function createTestKernel(options?: TestKernelOptions): TestKernel;
@@ -1,4 +1,12 @@
 import { undot } from "./src/undot.js";
+import { InstallError, HookError, LifecycleError, ConfigError } from "./src/errors.js";
+import { parseRequirement, satisfies, isValidVersion, isValidRange } from "./src/semver.js";
+import { EventBus } from "./src/events.js";
+import { applySchema } from "./src/config.js";
+import { scanUnitDirs } from "./src/catalog.js";
+import { Tracer } from "./src/trace.js";
+import { createLogging } from "./src/logger.js";
+import { setupRepl } from "./src/repl.js";
 import { withTypeCheckers } from "with-type-checkers";
 import { pathToFileURL } from 'node:url';
 import repl from "node:repl";
@@ -17,13 +25,77 @@ class UnitContext extends withTypeCheckers({
 }
 
 
-export default ({
-  import: importModule = (p) => import(p),
-  resolveModule = (n) => pathToFileURL(`./units/${n}.js`).href
-}) => new MLM({
-  importModule,
-  resolveModule
+export { InstallError, HookError, LifecycleError, ConfigError };
+export { formatGraph } from "./src/graph.js";
+export { formatTrace } from "./src/trace.js";
+export { createTestKernel } from "./src/testing.js";
+
+// kernel state machine: each action may run from the listed states, passes through its own state,
+// and ends in `to`, or back where it started when `to` is null; a failed start ends in 'failed'
+const TRANSITIONS = Object.freeze({
+  install: Object.freeze({ from: ['idle', 'started', 'stopped'], via: 'installing', to: null }),
+  uninstall: Object.freeze({ from: ['idle', 'started', 'stopped'], via: 'uninstalling', to: null }),
+  reload: Object.freeze({ from: ['idle', 'started', 'stopped'], via: 'reloading', to: null }),
+  start: Object.freeze({ from: ['idle', 'stopped'], via: 'starting', to: 'started' }),
+  stop: Object.freeze({ from: ['started', 'failed'], via: 'stopping', to: 'stopped' }),
+  restart: Object.freeze({ from: ['started', 'failed'], via: 'stopping', to: 'started' })
 });
+const STEADY = ['idle', 'started', 'failed', 'stopped'];
+
+// unit config keys the kernel handles itself; any other key needs an injector or a loader
+const UNIT_KEYS = [
+  'info', 'module', 'name', 'define', 'inject', 'register', 'repl',
+  'onBeforeLoad', 'onPrepare', 'onReady', 'onStart', 'onStop', 'onShutdown', 'onDrain', 'healthCheck'
+];
+
+const freshPath = (p) => `${p}${p.includes('?') ? '&' : '?'}mlm-reload=${Date.now()}`;
+
+// does the unit ({ name, info }) match a conflicts entry ({ name, range }), by name or provided tag?
+const conflictsWith = (unit, conflict) =>
+  (conflict.name === unit.name || unit.info.provides.includes(conflict.name)) &&
+  (!conflict.range || satisfies(unit.info.version, conflict.range));
+
+const withTimeout = (promise, ms, message) => {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export default ({
+  import: importModule = (p, { reload } = {}) => import(reload ? freshPath(p) : p),
+  resolveModule = (n) => pathToFileURL(`./units/${n}.js`).href,
+  sequential = false,
+  timeouts = {},
+  signals = false,
+  env = process.env,
+  providers = {},
+  catalog = {},
+  stubs = {},
+  log,
+  isolation = false,
+  trace = false,
+  strict = false
+} = {}) => {
+  const mlm = new MLM({
+    importModule,
+    resolveModule,
+    sequential,
+    timeouts,
+    env,
+    providers,
+    catalog,
+    stubs,
+    log,
+    isolation,
+    trace,
+    strict
+  });
+  if (signals) mlm.handleSignals(signals === true ? {} : signals);
+  return mlm;
+};
 
 class MLM extends withTypeCheckers({
   classPrefix: '[MLM Core]'
@@ -32,15 +104,71 @@ class MLM extends withTypeCheckers({
 
   #importModule;
   #resolveModule;
-  constructor({ importModule, resolveModule }) {
+  #sequential;
+  #timeouts;
+  #env;
+  #providers = {};
+  #catalog;
+  #stubbed;
+  #logger;
+  #isolation;
+  #tracer = null;
+  #strict;
+  #options;
+  #parent = null;
+  #name = null;
+  constructor({ importModule, resolveModule, sequential, timeouts, env, providers, catalog, stubs, log, isolation, trace, strict, parent, name }) {
     super();
+    this.#options = { importModule, resolveModule, sequential, timeouts, env, providers, catalog, log, isolation, trace, strict };
+    // a child kernel's context inherits every property of its parent's
+    if (parent) {
+      this.#parent = parent;
+      this.#name = name;
+      this.#context = Object.create(parent.context);
+    }
+    this.#strict = strict;
+    if (trace) this.#tracer = new Tracer();
+    this.assert([false, 'audit', 'strict'].includes(isolation), `Invalid isolation mode '${isolation}', expected false, 'audit' or 'strict'.`);
+    this.#isolation = isolation;
+    // a bare function is a sink for every message at info level and above, called with (namespace, ...args)
+    this.assert.is('function|plainObject|none', log, 'log');
+    this.#logger = createLogging(this.is.function(log) ? { sink: record => log(record.namespace, ...record.args) } : log);
+    this.log = this.#logger(parent ? `MLM Core:${name}` : 'MLM Core');
+    // stubbed context properties exist from the start and win over any unit's define
+    this.#stubbed = new Set(Object.keys(stubs));
+    for (const key in stubs) this.#defineContextProperty(key, { value: stubs[key] });
+    this.#catalog = catalog;
     this.#importModule = importModule;
     this.#resolveModule = resolveModule;
+    this.#sequential = sequential;
+    this.#timeouts = timeouts;
+    this.#env = env;
+    // tag -> preferred provider list, or { units, multiple } for tags that collect every provider
+    for (const tag in providers) {
+      const spec = providers[tag];
+      this.assert.is('array|plainObject', spec, `providers.${tag}`);
+      this.#providers[tag] = Array.isArray(spec)
+        ? { units: spec, multiple: false }
+        : { units: spec.units ?? [], multiple: !!spec.multiple };
+    }
     this.#addLoader('define', async (conf, unit) => {
       for (const key in conf) {
         const spec = conf[key];
         this.assert.is('function|plainObject', spec, `.define.${key}`);
-        await this.#addContextProperty(key, spec);
+        await this.#addContextProperty(key, spec, unit);
+      }
+    });
+    this.#addLoader('override', async (conf, unit) => {
+      for (const key in conf) {
+        const spec = conf[key];
+        this.assert.is('function|plainObject', spec, `.override.${key}`);
+        await this.#overrideContextProperty(key, spec, unit);
+      }
+    });
+    this.#addLoader('decorate', async (conf, unit) => {
+      for (const key in conf) {
+        this.assert.is('function', conf[key], `.decorate.${key}`);
+        await this.#decorateContextProperty(key, conf[key], unit);
       }
     });
   }
@@ -50,78 +178,693 @@ class MLM extends withTypeCheckers({
     return this.#context
   }
 
+  // spans recorded so far with the trace option, for formatTrace()
+  get spans() {
+    return this.#tracer?.spans ?? [];
+  }
+
+  #span = (unit, name, cat, fn) => this.#tracer ? this.#tracer.span(unit, name, cat, fn) : fn();
+
+  #events = new EventBus({
+    onError: (e, event) => this.log.error(`Listener for '${event}' failed: ${e.message}`)
+  });
+  on = (event, fn) => this.#events.on(event, fn);
+  once = (event, fn) => this.#events.once(event, fn);
+  off = (event, fn) => this.#events.off(event, fn);
+  emit = (event, ...args) => this.#events.emit(event, ...args);
+  emitSerial = (event, ...args) => this.#events.emitSerial(event, ...args);
+
   #createUnitContext = async (name, info) => {
     const ctx = new UnitContext(name);
+    ctx.log = this.#logger(this.#name ? `${this.#name}:${name}` : name);
     ctx.packages = {};
     for (const pkg in info.packages) {
       ctx.packages[pkg] = await this.#importModule(info.packages[pkg]);
     }
+    // listeners added through the unit context are removed when the unit is uninstalled
+    for (const method of ['on', 'once']) {
+      ctx[method] = (event, fn) => {
+        const off = this.#events[method](event, fn);
+        this.#onUninstall(name, off);
+        return off;
+      }
+    }
+    ctx.off = this.off;
+    ctx.emit = this.emit;
+    ctx.emitSerial = this.emitSerial;
+    ctx.providersOf = this.providersOf;
+    ctx.has = (dep) => !!this.units[dep] || this.#inheritedProviders(dep).length > 0;
     return new Proxy({}, {
-      get: (target, prop) => ctx[prop] ?? this.#context[prop],
+      get: (target, prop) => {
+        const own = ctx[prop];
+        if (own != null) return own;
+        if (this.#isolation && Object.hasOwn(this.#provenance, prop)) this.#checkAccess(name, prop);
+        return this.#context[prop];
+      },
       set: (target, prop, value) => {
         this.throw('Cannot set context property ' + prop);
       },
     });
   };
 
+  // context property -> { lifetime, layers: [{ kind, unit }] }; the first layer is the unit that defined it,
+  // followed by those that overrode or decorated it
+  #provenance = {};
+  #audited = new Set();
+
+  // units see their own properties and those of their declared, transitive dependencies
+  #checkAccess = (name, prop) => {
+    const owner = this.#provenance[prop].layers[0].unit;
+    if (owner === name || this.#visibleUnits(name).has(owner)) return;
+    const message = `Unit '${name}' accessed context property '${prop}' of unit '${owner}', which it does not require.`;
+    if (this.#isolation == 'strict') this.throw(message);
+    if (this.#audited.has(`${name}:${prop}`)) return;
+    this.#audited.add(`${name}:${prop}`);
+    this.log.warn(`Audit: ${message}`);
+  }
+
+  #visibleUnits = (name) => {
+    const record = this.#records[name];
+    if (record?.visible) return record.visible;
+    const visible = new Set();
+    const add = (dep) => {
+      if (visible.has(dep)) return;
+      visible.add(dep);
+      for (const next of this.#records[dep]?.requires ?? []) add(next);
+    }
+    for (const dep of record?.requires ?? []) add(dep);
+    // requires is only filled after the factory ran, which may already read installed declared dependencies
+    const { requires = [], optional = [] } = record?.imported.info ?? {};
+    for (const dep of [...requires, ...optional]) {
+      for (const provider of this.providersOf(dep)) add(provider.name);
+    }
+    // dependencies can only change while the unit itself is installing
+    if (this.#order.includes(name)) record.visible = visible;
+    return visible;
+  }
+
   units = {};
-  #onStart = [];
-  #onStop = [];
-  #onShutdown = [];
+  #order = [];
+  #records = {};
+  #config;
   #state = 'idle'
+  get state() {
+    return this.#state
+  }
 
-  start = async (config) => {
+  get transitions() {
+    return TRANSITIONS;
+  }
+
+  can = (action) => !!TRANSITIONS[action]?.from.includes(this.#state);
+
+  // check that action may run now and enter its transient state; returns the state it started from
+  #enter = (action) => {
+    const state = this.#state;
+    if (!this.can(action)) {
+      this.throw(!STEADY.includes(state) ? 'Busy.' : action == 'stop' ? 'Not started.' : `Cannot ${action} when ${state}.`);
+    }
+    this.#state = TRANSITIONS[action].via;
+    return state;
+  }
+
+  start = async (config = this.#config ?? {}) => {
+    this.assert.is('plainObject', config, 'Start config');
     this.log('Starting...');
-    this.assert(this.#state == 'idle', 'Busy.');
-    this.#state = 'starting';
-    for (const fn of this.#onStart) await fn(config);
+    this.assert(!this.#parent || this.#parent.state == 'started', 'Parent kernel is not started.');
+    const state = this.#enter('start');
+    this.#config = config;
+    try {
+      this.#configure(this.#order);
+    } catch (e) {
+      this.#state = state;
+      throw e;
+    }
+    this.#parent?.#children.add(this);
+    this.emit('kernel:starting', { config });
+    const errors = await this.#span(null, 'start', 'kernel', () =>
+      this.#runInOrder(this.#order, this.#startUnit, name => this.#records[name].requires)
+    );
+    if (errors.length) {
+      this.#state = 'failed';
+      this.emit('kernel:failed', { errors });
+      throw new LifecycleError('start', errors);
+    }
     this.#state = 'started';
+    this.emit('kernel:started', {});
   }
 
+  // units installed while the kernel runs are started right away; if that fails, they are rolled back
   install = async (name) => {
-    this.assert(this.#state == 'idle', 'Busy.');
-    this.#state = 'installing';
-    await this.#install(name);
-    this.#state = 'idle';
+    const state = this.#enter('install');
+    this.#parent?.#children.add(this);
+    try {
+      await this.#transaction(async () => {
+        await this.#install(name);
+        if (state != 'started') return;
+        try {
+          await this.#startPending();
+        } catch (e) {
+          throw new InstallError(name, 'start', e);
+        }
+      });
+    } finally {
+      this.#state = state;
+      this.#trackChild();
+    }
   }
 
+  // stopping never bails out: every hook runs, and failures are reported together at the end
   stop = async () => {
-    this.assert(this.#state == 'started', 'Not started.');
-    this.#state = 'stopping';
-    for (const fn of this.#onStop) await fn();
-    this.#state = 'shutdown';
-    for (const fn of this.#onShutdown) await fn();
+    this.#enter('stop');
+    this.emit('kernel:stopping', {});
+    const errors = [];
+    const collect = (fn) => async (name) => errors.push(...await fn(name));
+    await this.#span(null, 'stop', 'kernel', async () => {
+      // children build on this kernel's units, so they go first
+      for (const child of this.#children) {
+        if (['idle', 'stopped'].includes(child.state)) continue;
+        await child.stop().catch(e => errors.push(...e.errors ?? [e]));
+      }
+      await this.#runInOrder(this.#order, collect(this.#stopUnit), this.#directDependentsOf);
+      this.#state = 'shutdown';
+      await this.#runInOrder([...this.#order].reverse(), collect(this.#shutdownUnit), this.#directDependentsOf);
+    });
     this.#state = 'stopped';
+    this.#trackChild();
     this.log('Stopped.');
+    this.emit('kernel:stopped', { errors });
+    if (errors.length) throw new LifecycleError('stop', errors);
+  }
+
+  // stop, then start again with the same config unless another one is given
+  restart = async (config = this.#config) => {
+    this.assert(this.can('restart'), STEADY.includes(this.#state) ? 'Not started.' : 'Busy.');
+    await this.stop();
+    await this.start(config);
+  }
+
+  uninstall = async (name, { cascade = false } = {}) => {
+    this.assert(this.#records[name], `Unit '${name}' is not installed.`);
+    this.assert(this.can('uninstall'), 'Busy.');
+    const dependents = this.#dependentsOf(name);
+    this.assert(cascade || !dependents.length, `Cannot uninstall '${name}', required by ${dependents.join(', ')}.`);
+    this.#assertNotInherited(name, [name, ...dependents], 'uninstall');
+    const state = this.#enter('uninstall');
+    try {
+      for (const dep of [name, ...dependents].reverse()) await this.#uninstall(dep);
+    } finally {
+      this.#state = state;
+      this.#trackChild();
+    }
+  }
+
+  reload = async (name) => {
+    this.assert(this.#records[name], `Unit '${name}' is not installed.`);
+    const names = [name, ...this.#dependentsOf(name)];
+    this.#assertNotInherited(name, names, 'reload');
+    const state = this.#enter('reload');
+    try {
+      // a module that does not import leaves everything as it was
+      const fresh = await this.#importUnitWithInfo(name, { reload: true }).catch(e => {
+        throw new InstallError(name, 'import', e);
+      });
+      const previous = Object.fromEntries(names.map(dep => [dep, this.#records[dep].imported]));
+      const reinstall = (modules) => this.#transaction(async () => {
+        for (const dep of names) await this.#install(dep, { imported: modules[dep] });
+        if (state == 'started') await this.#startPending();
+      });
+      for (const dep of [...names].reverse()) await this.#uninstall(dep);
+      try {
+        await reinstall({ ...previous, [name]: fresh });
+      } catch (e) {
+        this.log.warn(`Reload of '${name}' failed, restoring the previous version`);
+        await reinstall(previous).catch(restoreError => this.log.error(`Restoring '${name}' failed: ${restoreError.message}`));
+        throw e;
+      }
+    } finally {
+      this.#state = state;
+    }
+  }
+
+  // kernels whose context inherits this one's, tracked while they have units installed or are running;
+  // running ones are stopped before this one stops
+  #children = new Set();
+  #childCount = 0;
+
+  createChild = ({ name = `child${++this.#childCount}`, ...options } = {}) => {
+    this.assert.is('string', name, 'name');
+    return new MLM({ ...this.#options, stubs: {}, ...options, parent: this, name });
+  }
+
+  // a child's units keep what they got from this kernel's units when they were installed
+  #assertNotInherited = (name, names, action) => {
+    const children = [...this.#children].filter(child => names.some(dep => child.#inheritedUnits().has(dep)));
+    this.assert(!children.length, `Cannot ${action} '${name}', required by child kernel ${children.map(child => child.#name).join(', ')}.`);
+  }
+
+  #trackChild = () => {
+    if (!this.#parent) return;
+    const active = Object.keys(this.#records).length > 0 || !['idle', 'stopped'].includes(this.#state);
+    this.#parent.#children[active ? 'add' : 'delete'](this);
+  }
+
+  #inheritedUnits = () => new Set(Object.values(this.#records).flatMap(record => record.inherited));
+
+  // providers of a requirement in the nearest ancestor that has any
+  #inheritedProviders = (dep) => {
+    if (!this.#parent) return [];
+    const providers = this.#parent.providersOf(dep);
+    return providers.length ? providers : this.#parent.#inheritedProviders(dep);
+  }
+
+  #isInherited = (name) => !!this.#parent && (Object.hasOwn(this.#parent.context, name) || this.#parent.#isInherited(name));
+
+  // configure and start, in install order, the units that were installed while the kernel was running
+  #startPending = async () => {
+    const pending = this.#order.filter(dep => !this.#records[dep].started);
+    this.#configure(pending);
+    for (const dep of pending) await this.#startUnit(dep);
+  }
+
+  // units with an info.config schema get their validated slice of the start config, others get all of it
+  // config keys that no loader handled are warned about, or reported as errors in strict mode
+  #configure = (names) => {
+    const errors = {};
+    for (const name of names) {
+      const { config: schema } = this.units[name].info;
+      const record = this.#records[name];
+      const unhandled = Object.keys(record.unhandled).map(key => `no loader for config key '${key}'`);
+      if (unhandled.length && this.#strict) errors[name] = unhandled;
+      else if (unhandled.length) record.ctx.log.warn(`Ignoring config: ${unhandled.join(', ')}`);
+      if (!schema) {
+        record.config = this.#config;
+        continue;
+      }
+      const check = (type, value, label) => record.ctx.assert.is(type, value, label);
+      const result = applySchema(schema, this.#config[name], { check, env: this.#env });
+      if (result.errors.length) errors[name] = [...errors[name] ?? [], ...result.errors];
+      record.config = result.value;
+    }
+    if (Object.keys(errors).length) throw new ConfigError(errors);
+  }
+
+  // run a unit's hooks for a phase, returning a HookError for each failure; onStart bails on the first one
+  #runHooks = async (name, phase, ...args) => {
+    const ms = this.units[name].info.timeouts[phase] ?? this.#timeouts[phase];
+    const errors = [];
+    for (const fn of this.#records[name][phase]) {
+      try {
+        await withTimeout(this.#span(name, phase, 'lifecycle', () => fn(...args)), ms, `Timed out after ${ms} ms`);
+      } catch (e) {
+        errors.push(new HookError(name, phase, e));
+        if (phase == 'onStart') break;
+      }
+    }
+    return errors;
+  }
+
+  // stop on process signals and fatal errors; a second signal or the drain deadline forces exit
+  handleSignals = ({
+    signals = ['SIGINT', 'SIGTERM'],
+    errors = true,
+    drainTimeout = 10000,
+    reportInterval = 1000,
+    exit = (code) => process.exit(code)
+  } = {}) => {
+    let draining = false;
+    const shutdown = async (reason, code) => {
+      if (draining) {
+        this.log.error(`${reason} while draining, forcing exit.`);
+        return exit(1);
+      }
+      draining = true;
+      this.log.warn(`${reason}, stopping...`);
+      const deadline = setTimeout(() => {
+        this.log.error(`Drain deadline of ${drainTimeout} ms exceeded, forcing exit.`);
+        exit(1);
+      }, drainTimeout);
+      const report = setInterval(this.#reportDrain, reportInterval);
+      report.unref();
+      try {
+        await this.#reportDrain();
+        if (['started', 'failed'].includes(this.#state)) await this.stop();
+      } catch (e) {
+        this.log.error(`Stop failed: ${e.message}`);
+        code ||= 1;
+      } finally {
+        clearTimeout(deadline);
+        clearInterval(report);
+      }
+      exit(code);
+    }
+    const onSignal = (signal) => shutdown(`Received ${signal}`, 0);
+    const onError = (e) => {
+      this.log.error(`Fatal error: ${e?.stack ?? e}`);
+      shutdown('Fatal error', 1);
+    }
+    for (const signal of signals) process.on(signal, onSignal);
+    if (errors) {
+      process.on('uncaughtException', onError);
+      process.on('unhandledRejection', onError);
+    }
+    return () => {
+      for (const signal of signals) process.off(signal, onSignal);
+      process.off('uncaughtException', onError);
+      process.off('unhandledRejection', onError);
+    }
+  }
+
+  // log the in-flight work reported by each running unit's onDrain hook
+  #reportDrain = async () => {
+    for (const name of this.#order) {
+      const record = this.#records[name];
+      if (!record?.started) continue;
+      for (const fn of record.onDrain) {
+        try {
+          const pending = await fn();
+          if (pending) record.ctx.log.warn('Draining:', pending);
+        } catch (e) {
+          record.ctx.log.error(`onDrain failed: ${e.message}`);
+        }
+      }
+    }
+  }
+
+  #startUnit = async (name) => {
+    const record = this.#records[name];
+    record.phase = 'starting';
+    const since = Date.now();
+    const [error] = await this.#runHooks(name, 'onStart', record.config);
+    record.timings.startDuration = Date.now() - since;
+    record.phase = error ? 'failed' : 'started';
+    if (error) throw error;
+    // only units that did start get their onStop and onShutdown hooks
+    record.started = true;
+    record.timings.startedAt = Date.now();
+    this.emit('unit:started', { unit: name });
+  }
+
+  #stopUnit = async (name) => {
+    const record = this.#records[name];
+    if (!record.started) return [];
+    record.phase = 'stopping';
+    const since = Date.now();
+    const errors = await this.#runHooks(name, 'onStop');
+    record.timings.stopDuration = Date.now() - since;
+    return errors;
+  }
+
+  #shutdownUnit = async (name) => {
+    const record = this.#records[name];
+    if (!record.started) return [];
+    record.started = false;
+    const since = Date.now();
+    const errors = await this.#runHooks(name, 'onShutdown');
+    record.timings.stopDuration += Date.now() - since;
+    record.timings.stoppedAt = Date.now();
+    record.phase = 'stopped';
+    this.emit('unit:stopped', { unit: name, errors });
+    return errors;
+  }
+
+  // kernel state with every unit's phase, timings and health; only started units are checked
+  status = async ({ timeout = this.#timeouts.healthCheck ?? 5000 } = {}) => {
+    const units = {};
+    await Promise.all(this.#order.map(async (name) => {
+      const record = this.#records[name];
+      units[name] = {
+        phase: record.phase,
+        version: this.units[name].info.version,
+        timings: { ...record.timings },
+        health: record.phase == 'started' ? await this.#checkHealth(name, timeout) : null
+      };
+    }));
+    const checked = Object.values(units).map(unit => unit.health).filter(Boolean);
+    return {
+      state: this.#state,
+      healthy: this.#state == 'started' && checked.every(health => health.healthy),
+      units: Object.fromEntries(this.#order.map(name => [name, units[name]]))
+    };
+  }
+
+  // a health check fails by throwing, timing out or returning false; any other return value is reported as details
+  #checkHealth = async (name, timeout) => {
+    const ms = this.units[name].info.timeouts.healthCheck ?? timeout;
+    const since = Date.now();
+    const results = [];
+    for (const fn of this.#records[name].healthCheck) {
+      try {
+        const details = await withTimeout(fn(), ms, `Timed out after ${ms} ms`);
+        if (details === false) results.push({ healthy: false, details: null, error: 'Reported unhealthy' });
+        else results.push({ healthy: true, details: details ?? null, error: null });
+      } catch (e) {
+        results.push({ healthy: false, details: null, error: e.message });
+      }
+    }
+    const failed = results.find(result => !result.healthy);
+    return {
+      healthy: !failed,
+      details: results.length > 1 ? results.map(result => result.details) : results[0]?.details ?? null,
+      error: failed?.error ?? null,
+      duration: Date.now() - since
+    };
+  }
+
+  // run fn for each unit once the units it waits for have finished, or one by one in the given order when sequential;
+  // a failing unit skips the units waiting for it, and the distinct errors are returned
+  #runInOrder = async (names, fn, waitsFor) => {
+    const errors = [];
+    const fail = (e) => {
+      if (!errors.includes(e)) errors.push(e);
+      throw e;
+    }
+    if (this.#sequential) {
+      for (const name of names) {
+        try {
+          await fn(name);
+        } catch (e) {
+          errors.push(e);
+          break;
+        }
+      }
+      return errors;
+    }
+    const done = {};
+    const run = (name) => done[name] ??= Promise.all(waitsFor(name).map(run)).then(() => fn(name)).catch(fail);
+    await Promise.allSettled(names.map(run));
+    return errors;
+  }
+
+  #directDependentsOf = (name) => {
+    return this.#order.filter(other => this.#records[other].requires.includes(name));
+  }
+
+  // transitive dependents of a unit, in install order
+  #dependentsOf = (name) => {
+    const found = new Set([name]);
+    for (const other of this.#order) {
+      if (this.#records[other].requires.some(dep => found.has(dep))) found.add(other);
+    }
+    found.delete(name);
+    return [...found];
+  }
+
+  #uninstall = async (name) => {
+    const record = this.#records[name];
+    const errors = [...await this.#stopUnit(name), ...await this.#shutdownUnit(name)];
+    for (const e of errors) record.ctx.log.error(e.message);
+    record.ctx.log('Uninstalling');
+    for (const undo of record.undo.reverse()) {
+      try {
+        await undo();
+      } catch (e) {
+        record.ctx.log.error(`Teardown step failed: ${e.message}`);
+      }
+    }
+    if (this.#order.includes(name)) this.#order.splice(this.#order.indexOf(name), 1);
+    delete this.#records[name];
+    this.emit('unit:uninstalled', { unit: name });
+  }
+
+  // run fn, uninstalling every unit it added (including partial ones) if it throws
+  #transaction = async (fn) => {
+    const existing = new Set(Object.keys(this.#records));
+    try {
+      return await fn();
+    } catch (e) {
+      // partially installed units first, innermost first, then completed ones in reverse install order
+      const added = Object.keys(this.#records).filter(name => !existing.has(name));
+      const partial = added.filter(name => !this.#order.includes(name)).reverse();
+      const completed = this.#order.filter(name => added.includes(name)).reverse();
+      if (added.length) this.log.warn(`Rolling back ${added.join(', ')}`);
+      for (const name of [...partial, ...completed]) await this.#uninstall(name);
+      throw e;
+    }
+  }
+
+  // register a teardown step for the unit being installed
+  #onUninstall = (name, undo) => {
+    this.#records[name]?.undo.push(undo);
   }
 
   #defineContextProperty = (name, descriptor) => {
     this.assert(!Object.hasOwn(this.#context, name), `Context property '${name}' already exists in MLM context.`);
     Object.defineProperty(this.#context, name, {
       enumerable: true,
-      configurable: false,
-      ...descriptor
+      ...descriptor,
+      configurable: true
     });
   }
 
-  #addContextProperty = async (name, value) => {
+  #addContextProperty = async (name, value, unit) => {
+    const ctx = this.#records[unit?.name]?.ctx;
+    if (this.#stubbed.has(name)) {
+      (ctx ?? this).log.debug(`Using stub for context property '${name}'`);
+      return;
+    }
     this.assert(!Object.hasOwn(this.#context, name), `Context property '${name}' already exists in MLM context.`);
+    this.assert(!this.#isInherited(name), `Context property '${name}' already exists in the parent context.`);
+    const { descriptor, lifetime } = await this.#describe(name, value, ctx);
+    this.#defineContextProperty(name, descriptor);
+    if (unit) this.#provenance[name] = { lifetime, layers: [{ kind: 'define', unit: unit.name }] };
+    this.#onUninstall(unit?.name, () => {
+      delete this.#context[name];
+      delete this.#provenance[name];
+    });
+  }
+
+  // property descriptor and lifetime for a define or override entry
+  #describe = async (name, value, ctx) => {
     if (this.is.function(value)) {
-      value = await value();
-      this.#defineContextProperty(name, {
-        get: () => value
-      })
-    } else if (this.is.object(value)) {
-      this.#defineContextProperty(name, value)
+      value = await value(ctx);
+      return { descriptor: { get: () => value }, lifetime: 'singleton' };
+    }
+    if (this.is.plainObject(value) && 'factory' in value) {
+      return this.#describeService(name, value, ctx);
+    }
+    if (this.is.object(value)) {
+      return { descriptor: value, lifetime: 'get' in value ? 'transient' : 'singleton' };
+    }
+    this.throw(`Invalid value for context property '${name} - should be caught before reaching here'.`);
+  }
+
+  // { factory, lazy, transient } – lazy singletons are created on first access, transient ones on every access
+  #describeService = async (name, { factory, lazy = false, transient = false }, ctx) => {
+    this.assert.is.function(factory, `.define.${name}.factory`);
+    if (transient) {
+      return { descriptor: { get: () => factory(ctx) }, lifetime: 'transient' };
+    }
+    if (lazy) {
+      let state = 'pending', value;
+      const get = () => {
+        if (state == 'created') return value;
+        this.assert(state == 'pending', `Circular access to lazy context property '${name}'.`);
+        state = 'creating';
+        try {
+          value = factory(ctx);
+          state = 'created';
+        } finally {
+          if (state == 'creating') state = 'pending';
+        }
+        return value;
+      }
+      return { descriptor: { get }, lifetime: 'lazy' };
+    }
+    const value = await factory(ctx);
+    return { descriptor: { get: () => value }, lifetime: 'singleton' };
+  }
+
+  // replace a property defined by another unit; the previous definition is restored when the unit is uninstalled
+  #overrideContextProperty = async (name, value, unit) => {
+    const ctx = this.#records[unit.name].ctx;
+    if (!this.#layerable(name, 'override', ctx)) return;
+    const { descriptor, lifetime } = await this.#describe(name, value, ctx);
+    this.#addLayer(name, 'override', unit, descriptor, lifetime);
+  }
+
+  // wrap a property with fn(original, ctx), keeping its lifetime: singletons are wrapped right away,
+  // lazy services on first access and transient ones on every access
+  #decorateContextProperty = async (name, fn, unit) => {
+    const ctx = this.#records[unit.name].ctx;
+    if (!this.#layerable(name, 'decorate', ctx)) return;
+    const { lifetime } = this.#provenance[name];
+    const previous = Object.getOwnPropertyDescriptor(this.#context, name);
+    const read = () => previous.get ? previous.get.call(this.#context) : previous.value;
+    let descriptor;
+    if (lifetime == 'transient') {
+      descriptor = { get: () => fn(read(), ctx) };
+    } else if (lifetime == 'lazy') {
+      let created = false, value;
+      descriptor = {
+        get: () => {
+          if (!created) {
+            value = fn(read(), ctx);
+            created = true;
+          }
+          return value;
+        }
+      };
     } else {
-      this.throw(`Invalid value for context property '${name} - should be caught before reaching here'.`);
+      const value = await fn(read(), ctx);
+      descriptor = { get: () => value };
+    }
+    this.#addLayer(name, 'decorate', unit, descriptor, lifetime);
+  }
+
+  // stubs stay as they are; anything else must have been defined by a unit
+  #layerable = (name, kind, ctx) => {
+    if (this.#stubbed.has(name)) {
+      ctx.log.debug(`Using stub for context property '${name}', skipping ${kind}`);
+      return false;
     }
+    ctx.assert(this.#provenance[name], `Cannot ${kind} context property '${name}', no unit defines it.`);
+    return true;
   }
 
-  #importUnitWithInfo = async (name) => {
+  // the unit comes to depend on the unit of the layer below, so layers are always uninstalled top first
+  #addLayer = (name, kind, unit, descriptor, lifetime) => {
+    const entry = this.#provenance[name];
+    const below = entry.layers.at(-1).unit;
+    const { requires } = this.#records[unit.name];
+    if (below !== unit.name && !requires.includes(below)) requires.push(below);
+    const previous = { descriptor: Object.getOwnPropertyDescriptor(this.#context, name), lifetime: entry.lifetime };
+    Object.defineProperty(this.#context, name, { enumerable: true, ...descriptor, configurable: true });
+    const layer = { kind, unit: unit.name };
+    entry.layers.push(layer);
+    entry.lifetime = lifetime;
+    this.#onUninstall(unit.name, () => {
+      Object.defineProperty(this.#context, name, previous.descriptor);
+      entry.layers.splice(entry.layers.indexOf(layer), 1);
+      entry.lifetime = previous.lifetime;
+    });
+  }
+
+  // which units defined, overrode and decorated a context property, in order; all properties without a name
+  provenance = (name) => {
+    if (name === undefined) {
+      return Object.fromEntries(Object.keys(this.#context).map(key => [key, this.provenance(key)]));
+    }
+    if (this.#stubbed.has(name)) {
+      return { stub: true, definedBy: null, overriddenBy: null, decoratedBy: [], lifetime: 'singleton', layers: [] };
+    }
+    const entry = this.#provenance[name];
+    if (!entry) return null;
+    const layers = entry.layers.map(layer => ({ ...layer }));
+    return {
+      stub: false,
+      definedBy: layers[0].unit,
+      overriddenBy: layers.findLast(layer => layer.kind == 'override')?.unit ?? null,
+      decoratedBy: layers.filter(layer => layer.kind == 'decorate').map(layer => layer.unit),
+      lifetime: entry.lifetime,
+      layers
+    };
+  }
+
+  #importUnitWithInfo = async (name, { reload = false } = {}) => {
     const modulePath = await this.#resolveModule(name);
     try {
-      const module = await this.#importModule(modulePath);
+      const module = await this.#importModule(modulePath, { reload });
       const ret = {
         modulePath,
         module,
@@ -147,46 +890,224 @@ class MLM extends withTypeCheckers({
       }
       info.packages = packages
     }
+    // a version that is not x.y.z only matters once a constraint has to be checked against it
+    let version = info.version ?? null;
+    if (version != null && !isValidVersion(version)) {
+      this.log.warn(`Ignoring invalid version '${version}' of unit ${name}, expected x.y.z`);
+      version = null;
+    }
+    this.assert.is('plainObject|none', info.config, `info.config of unit ${name}`);
+    // 'name@range' entries are split into bare names and per-name constraints
+    const requirement = (req, key) => {
+      const parsed = parseRequirement(req);
+      this.assert(!parsed.range || isValidRange(parsed.range), `Invalid version range '${parsed.range}' in ${key} '${req}' of unit ${name}`);
+      return parsed;
+    }
+    const requires = [], optional = [], constraints = {};
+    for (const [list, reqs, key] of [[requires, info.requires, 'requires'], [optional, info.optional, 'optional']]) {
+      for (const req of [].concat(reqs ?? [])) {
+        const { name: dep, range } = requirement(req, key);
+        list.push(dep);
+        if (range) constraints[dep] = range;
+      }
+    }
     return {
-      requires: info.requires ?? [],
+      requires,
+      optional,
+      constraints,
+      conflicts: [].concat(info.conflicts ?? []).map(req => requirement(req, 'conflicts')),
       provides: info.provides ?? [],
       packages: info.packages ?? {},
       description: info.description ?? 'No description provided for ' + name + ' at  ' + modulePath,
-      version: null,
-      author: null
+      timeouts: info.timeouts ?? {},
+      config: info.config ?? null,
+      version,
+      author: info.author ?? null
     }
   }
 
+  #checkConstraint = (dep, range, provider) => {
+    if (!range || satisfies(provider.version, range)) return null;
+    const found = provider.version ? `version ${provider.version}` : 'no version';
+    return `${dep}@${range} is not satisfied by unit ${provider.name} (${found})`;
+  }
+
+  // conflicts declared by the new unit against installed (or installing) ones, and by those against it
+  #conflictsOf = (name, info) => {
+    const found = [];
+    for (const other in this.#records) {
+      const unit = this.units[other];
+      if (other === name || unit?.name !== other) continue;
+      for (const conflict of info.conflicts) {
+        if (conflictsWith(unit, conflict)) found.push(`${name} conflicts with ${conflict.name} (unit ${other})`);
+      }
+      for (const conflict of unit.info.conflicts) {
+        if (conflictsWith({ name, info }, conflict)) found.push(`${other} conflicts with ${conflict.name}`);
+      }
+    }
+    return found;
+  }
+
+  // install an optional dependency if possible, rolling back whatever a failed attempt left behind
+  #installOptional = async (dep, range, ctx) => {
+    try {
+      await this.#transaction(() => dep.startsWith('#') ? this.#installProviders(dep, ctx) : this.#install(dep));
+    } catch (e) {
+      ctx.log.warn(`Optional dependency ${dep} is not available: ${e.message}`);
+      return [];
+    }
+    return this.providersOf(dep).filter(provider => {
+      const error = this.#checkConstraint(dep, range, { name: provider.name, version: provider.info.version });
+      if (error) ctx.log.warn(`Ignoring optional dependency: ${error}`);
+      return !error;
+    });
+  }
+
+  #tagProviders = {}
+
+  // installed units behind a unit name or #tag; multi-provider tags may have several
+  providersOf = (dep) => {
+    if (!dep.startsWith('#')) return this.units[dep] ? [this.units[dep]] : [];
+    return (this.#tagProviders[dep] ?? []).map(name => this.units[name]);
+  }
+
+  // install the configured provider for a tag that is not provided yet: the first one that can be
+  // imported and declares the tag, or every such provider for multi-provider tags
+  #installProviders = async (tag, ctx) => {
+    const { units = [], multiple = false } = this.#providers[tag] ?? {};
+    for (const name of units) {
+      if (this.units[tag] && !multiple) break;
+      if (this.units[name]) continue;
+      const available = await this.#importUnitWithInfo(name).then(({ info }) => info.provides.includes(tag), () => false);
+      if (!available) {
+        ctx.log.debug(`Provider ${name} for ${tag} is not available`);
+        continue;
+      }
+      await this.#install(name);
+    }
+    ctx.assert(this.units[tag], `Feature tag ${tag} not found`);
+  }
+
   #registeredInjectors = {}
   #registeredLoaders = {}
+  #injectorUnits = {}
+  #loaderUnits = new WeakMap(); // loader -> unit name, for loaders registered by units
 
-  #addLoader = (name, loader) => {
+  #addLoader = (name, loader, unit) => {
     this.#registeredLoaders[name] ??= [];
     this.#registeredLoaders[name].push(loader);
+    if (unit) this.#loaderUnits.set(loader, unit.name);
+    this.emit('loader:registered', { key: name, unit: unit?.name });
+    this.#onUninstall(unit?.name, () => {
+      const loaders = this.#registeredLoaders[name];
+      loaders.splice(loaders.indexOf(loader), 1);
+      if (!loaders.length) delete this.#registeredLoaders[name];
+    });
+  }
+
+  // hand a new loader the config that installed units had for its key before it was registered; the effects
+  // are undone when either unit goes, and the key is unhandled again if the loader's unit goes (or rolls back) first
+  // a loader of a parent kernel's unit (owner) is replayed in its children too
+  #replayLoader = async (key, loader, unit, owner = this) => {
+    for (const other of this.#order) {
+      const record = this.#records[other];
+      const confs = record.unhandled[key];
+      if (!confs) continue;
+      delete record.unhandled[key];
+      if (owner !== this) record.inherited.push(unit.name);
+      const undos = [];
+      let reverted = false;
+      const revert = async () => {
+        if (reverted) return;
+        reverted = true;
+        for (const undo of undos.reverse()) await undo();
+      }
+      this.#onUninstall(other, revert);
+      owner.#onUninstall(unit.name, async () => {
+        await revert();
+        if (this.#records[other] === record) record.unhandled[key] = confs;
+      });
+      record.ctx.log.warn(`Config key '${key}' handled by loader from unit ${unit.name}, which was installed later`);
+      for (const conf of confs) {
+        const undo = await this.#span(other, `loader ${key}`, 'install', () => loader(conf, this.units[other]));
+        if (this.is.function(undo)) undos.push(undo);
+      }
+    }
+    for (const child of this.#children) await child.#replayLoader(key, loader, unit, owner);
+  }
+
+  // injectors and loaders that units of the ancestors registered, as key -> { inject, unit }
+  // and key -> [{ loader, unit }]; the kernel's own built-in loaders are not inherited
+  #inheritedInjectors = () => {
+    const parent = this.#parent;
+    if (!parent) return {};
+    const found = parent.#inheritedInjectors();
+    for (const key in parent.#registeredInjectors) {
+      found[key] = { inject: parent.#registeredInjectors[key], unit: parent.#injectorUnits[key] };
+    }
+    return found;
+  }
+
+  #inheritedLoaders = () => {
+    const parent = this.#parent;
+    if (!parent) return {};
+    const found = parent.#inheritedLoaders();
+    for (const key in parent.#registeredLoaders) {
+      for (const loader of parent.#registeredLoaders[key]) {
+        const unit = parent.#loaderUnits.get(loader);
+        if (unit) (found[key] ??= []).push({ loader, unit });
+      }
+    }
+    return found;
   }
   #installing = new Set();
-  #install = async (name) => {
+  // imported is the result of #importUnitWithInfo when the caller already has the module
+  #install = async (name, { imported } = {}) => {
     if (this.units[name]) return; // already installed
     if (this.#installing.has(name)) {
       this.throw(`Cosmic ray: Concurrent install detected for unit '${name}'.`);
     }
     this.#installing.add(name);
 
+    let phase = 'import';
     try {
+      imported ??= await this.#span(name, 'import', 'install', () => this.#importUnitWithInfo(name));
       let {
         unitFactory,
         module,
         modulePath,
         info
-      } = await this.#importUnitWithInfo(name);
+      } = imported;
+      phase = 'context';
       const ctx = await this.#createUnitContext(name, info);
+      const record = this.#records[name] = {
+        ctx,
+        imported, // kept so that a failed reload can put this version back
+        requires: [],
+        inherited: [],
+        undo: [],
+        onStart: [],
+        onStop: [],
+        onShutdown: [],
+        onDrain: [],
+        healthCheck: [],
+        unhandled: {},
+        started: false,
+        phase: 'installed',
+        timings: { installedAt: null, startedAt: null, stoppedAt: null, startDuration: null, stopDuration: null }
+      };
 
       ctx.log(`Installing from ${modulePath}`);
+      phase = 'conflicts';
+      const conflicts = this.#conflictsOf(name, info);
+      ctx.assert(!conflicts.length, `Conflicting units: ${conflicts.join('; ')}`);
+      phase = 'factory';
       ctx.assert.is('function|none', unitFactory, 'Module factory');
-      const unitConfig = unitFactory ? await unitFactory(ctx) : {};
+      const unitConfig = unitFactory ? await this.#span(name, 'factory', 'install', () => unitFactory(ctx)) : {};
       ctx.assert.is.object(unitConfig, 'Unit factory return value');
 
       const unit = this.units[name] = undot(unitConfig); // deepen dot notated object
+      this.#onUninstall(name, () => delete this.units[name]);
       unit.info = info;
       unit.module = module;
 
@@ -197,11 +1118,14 @@ class MLM extends withTypeCheckers({
         configurable: false
       })
 
+      phase = 'validate';
       ctx.assert.is({
         // used during install
         onBeforeLoad: 'function|none',
         onPrepare: 'function|none',
         define: 'plainObject|none',
+        override: 'plainObject|none',
+        decorate: 'plainObject|none',
         inject: 'plainObject|none',
         register: 'plainObject|none',
         onReady: 'function|none',
@@ -210,68 +1134,147 @@ class MLM extends withTypeCheckers({
         // used during stop
         onStop: 'function|none',
         onShutdown: 'function|none',
+        onDrain: 'function|none',
+        healthCheck: 'function|none',
+        // used by the REPL
+        repl: 'plainObject|none',
       }, unit, 'Unit config');
 
-      await unit.onBeforeLoad?.();
-
-
+      phase = 'onBeforeLoad';
+      if (unit.onBeforeLoad) await this.#span(name, 'onBeforeLoad', 'install', () => unit.onBeforeLoad());
 
+      phase = 'requires';
       for (const dep of unit.info.requires) {
-        if (this.units[dep]) continue;
+        // a child kernel uses what its ancestors already have instead of installing it again
+        const inherited = this.providersOf(dep).length ? [] : this.#inheritedProviders(dep);
+        if (inherited.length) {
+          for (const provider of inherited) {
+            const error = this.#checkConstraint(dep, unit.info.constraints[dep], { name: provider.name, version: provider.info.version });
+            ctx.assert(!error, `Unsatisfied requirement: ${error}`);
+            record.inherited.push(provider.name);
+          }
+          continue;
+        }
         if (dep.startsWith('#')) {
-          ctx.assert(this.units[dep], `Feature tag ${dep} not found`);
+          await this.#installProviders(dep, ctx);
+        } else if (!this.units[dep]) {
+          await this.#install(dep);
+        }
+        for (const provider of this.providersOf(dep)) {
+          const error = this.#checkConstraint(dep, unit.info.constraints[dep], { name: provider.name, version: provider.info.version });
+          ctx.assert(!error, `Unsatisfied requirement: ${error}`);
+          record.requires.push(provider.name);
         }
-        await this.#install(dep);
       }
 
+      phase = 'optional';
+      for (const dep of unit.info.optional) {
+        const inherited = this.providersOf(dep).length ? [] : this.#inheritedProviders(dep);
+        if (inherited.length) {
+          for (const provider of inherited) {
+            const error = this.#checkConstraint(dep, unit.info.constraints[dep], { name: provider.name, version: provider.info.version });
+            if (error) ctx.log.warn(`Ignoring optional dependency: ${error}`);
+            else record.inherited.push(provider.name);
+          }
+          continue;
+        }
+        for (const provider of await this.#installOptional(dep, unit.info.constraints[dep], ctx)) {
+          record.requires.push(provider.name);
+        }
+      }
+
+      phase = 'provides';
       for (const tag of unit.info.provides ?? []) {
         ctx.assert(tag.match(/^#[\w-]+$/), `Invalid feature tag: ${tag}, must be #<tag-name>`);
-        ctx.assert.is.undefined(this.units[tag], `Feature tag ${tag} already included by unit ${this.units[tag]?.name}`);
-        this.units[tag] = unit;
+        const providers = this.#tagProviders[tag] ??= [];
+        ctx.assert(!providers.length || this.#providers[tag]?.multiple, `Feature tag ${tag} already included by unit ${this.units[tag]?.name}`);
+        providers.push(name);
+        this.units[tag] ??= unit;
+        this.#onUninstall(name, () => {
+          providers.splice(providers.indexOf(name), 1);
+          if (providers.length) {
+            this.units[tag] = this.units[providers[0]];
+          } else {
+            delete this.units[tag];
+            delete this.#tagProviders[tag];
+          }
+        });
       }
 
-      await unit.onPrepare?.();
+      phase = 'onPrepare';
+      if (unit.onPrepare) await this.#span(name, 'onPrepare', 'install', () => unit.onPrepare());
 
       const layers = [unit];
 
+      phase = 'inject';
+      const inheritedInjectors = this.#inheritedInjectors();
       for (const key in unit.inject) {
-        ctx.assert(!(key in this.#registeredInjectors), 'Duplicate injector key ' + key);
+        ctx.assert(!(key in this.#registeredInjectors) && !(key in inheritedInjectors), 'Duplicate injector key ' + key);
         this.#registeredInjectors[key] = unit.inject[key];
+        this.#injectorUnits[key] = name;
+        this.#onUninstall(name, () => {
+          delete this.#registeredInjectors[key];
+          delete this.#injectorUnits[key];
+        });
       }
-      for (const key in this.#registeredInjectors) {
+      const injectors = { ...Object.fromEntries(Object.entries(inheritedInjectors).map(([key, { inject }]) => [key, inject])), ...this.#registeredInjectors };
+      for (const key in injectors) {
         const conf = unit[key];
         if (conf) {
-          const inject = await this.#registeredInjectors[key](conf, unit);
+          if (inheritedInjectors[key]) record.inherited.push(inheritedInjectors[key].unit);
+          const inject = await this.#span(name, `inject ${key}`, 'install', () => injectors[key](conf, unit));
           inject && layers.push(undot(inject));
         }
       }
 
+      phase = 'register';
       for (const conf of layers) {
         for (const key in conf.register) {
           this.#addLoader(key, conf.register[key], unit);
+          await this.#replayLoader(key, conf.register[key], unit);
         }
       }
-      for (const key in this.#registeredLoaders) {
+      const inheritedLoaders = this.#inheritedLoaders();
+      for (const key of new Set([...Object.keys(this.#registeredLoaders), ...Object.keys(inheritedLoaders)])) {
+        phase = `loader ${key}`;
         for (const conf of layers) {
           if (conf[key]) {
-            for (const loader of this.#registeredLoaders[key]) {
-              ctx.log(`Processing loader [${unit.name}] ${key}: ${Object.keys(conf[key])}`);
-              await loader(conf[key], unit);
+            for (const { unit: owner } of inheritedLoaders[key] ?? []) record.inherited.push(owner);
+            const loaders = [...(inheritedLoaders[key] ?? []).map(({ loader }) => loader), ...this.#registeredLoaders[key] ?? []];
+            for (const loader of loaders) {
+              ctx.log.debug(`Processing loader [${unit.name}] ${key}: ${Object.keys(conf[key])}`);
+              const undo = await this.#span(name, `loader ${key}`, 'install', () => loader(conf[key], unit));
+              if (this.is.function(undo)) this.#onUninstall(name, undo);
             }
           }
         }
       }
+      // remembered until a loader for the key is registered
+      for (const conf of layers) {
+        for (const key in conf) {
+          if (UNIT_KEYS.includes(key) || key in injectors || key in this.#registeredLoaders || key in inheritedLoaders) continue;
+          (record.unhandled[key] ??= []).push(conf[key]);
+        }
+      }
+      phase = 'onReady';
       for (const layer of layers) {
         if (layer.onReady) {
-          ctx.log('onReady');
-          await layer.onReady?.();
+          ctx.log.debug('onReady');
+          await this.#span(name, 'onReady', 'install', () => layer.onReady());
         }
       }
 
-      this.#onStart.push(...layers.map(layer=>layer.onStart).filter(Boolean));
-      this.#onStop.push(...layers.map(layer=>layer.onStop).filter(Boolean));
-      this.#onShutdown.unshift(...layers.map(layer=>layer.onShutdown).filter(Boolean));
+      record.onStart = layers.map(layer=>layer.onStart).filter(Boolean);
+      record.onStop = layers.map(layer=>layer.onStop).filter(Boolean);
+      record.onShutdown = layers.map(layer=>layer.onShutdown).filter(Boolean);
+      record.onDrain = layers.map(layer=>layer.onDrain).filter(Boolean);
+      record.healthCheck = layers.map(layer=>layer.healthCheck).filter(Boolean);
+      record.timings.installedAt = Date.now();
+      this.#order.push(name);
+      this.emit('unit:installed', { unit: name, info });
     } catch (err) {
+      if (!(err instanceof InstallError)) throw new InstallError(name, phase, err);
+      err.path.unshift(name);
       throw err;
     } finally {
       this.#installing.delete(name);
@@ -279,64 +1282,218 @@ class MLM extends withTypeCheckers({
   }
 
 
-  analyze = async (name) => {
+  // list available units by importing only their info; dirs are scanned for .js/.mjs files,
+  // or enumerate() supplies unit names that are located with resolveModule
+  catalog = async ({
+    dirs = this.#catalog.dirs ?? ['./units'],
+    enumerate = this.#catalog.enumerate,
+    filter
+  } = {}) => {
+    const found = enumerate
+      ? await Promise.all((await enumerate()).map(async name => ({ name, path: await this.#resolveModule(name) })))
+      : await scanUnitDirs(dirs);
+    const entries = [];
+    for (const { name, path: modulePath } of found) {
+      const entry = { name, path: modulePath, installed: !!this.#records[name], error: null };
+      try {
+        const module = await this.#importModule(modulePath);
+        this.assert(this.is.plainObject(module.info), 'No export info found');
+        const info = this.#createInfo(module.info, name, modulePath);
+        Object.assign(entry, {
+          description: info.description,
+          version: info.version,
+          author: info.author,
+          provides: info.provides,
+          requires: info.requires,
+          optional: info.optional,
+          conflicts: info.conflicts.map(({ name, range }) => range ? `${name}@${range}` : name)
+        });
+      } catch (e) {
+        entry.error = e.message;
+      }
+      entries.push(entry);
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    if (!filter) return entries;
+    if (this.is.function(filter)) return entries.filter(filter);
+    const search = String(filter).toLowerCase();
+    return entries.filter(entry => [entry.name, entry.description, ...entry.provides ?? []]
+      .some(text => text?.toLowerCase().includes(search)));
+  }
+
+  // dependency analysis without installing anything; #tag requirements are resolved against
+  // installed units, the analyzed units themselves and any candidate units
+  analyze = async (names, { candidates = [] } = {}) => {
+    const roots = [].concat(names);
     const result = {
       units: [],
       tags: {},
       errors: [],
+      warnings: [],
+      cycles: [],
+      duplicates: {},
       order: [],
+      graph: { nodes: [], edges: [] },
       success: true
     };
+    const fail = (message) => {
+      result.errors.push(message);
+      result.success = false;
+    }
 
-    const visited = new Set();
-    const installing = new Set();
+    const loaded = {};
+    // units that are allowed to be missing pass a warning prefix instead of failing the analysis
+    const load = async (name, { warn = null } = {}) => {
+      if (name in loaded) return loaded[name];
+      loaded[name] = null;
+      try {
+        loaded[name] = this.#records[name]
+          ? { modulePath: null, info: this.units[name].info }
+          : await this.#importUnitWithInfo(name);
+      } catch (e) {
+        if (warn) result.warnings.push(`${warn}: ${e.message}`);
+        else fail(`Failed to analyze ${name}: ${e.message}`);
+      }
+      return loaded[name];
+    }
 
-    const analyzeUnit = async (unitName) => {
-      if (visited.has(unitName)) return;
-      if (installing.has(unitName)) return;
+    const providers = {};
+    const addProviders = (name) => {
+      for (const tag of loaded[name]?.info.provides ?? []) {
+        providers[tag] ??= [];
+        if (!providers[tag].includes(name)) providers[tag].push(name);
+      }
+    }
+    // an installed provider wins, then one that is part of the graph anyway, then the first candidate
+    const inGraph = new Set();
+    const providerOf = (tag) => {
+      const list = providers[tag] ?? [];
+      return list.find(name => this.#records[name]) ?? list.find(name => inGraph.has(name)) ?? list[0];
+    }
+    const providersFor = (tag) => this.#providers[tag]?.multiple ? providers[tag] ?? [] : [providerOf(tag)].filter(Boolean);
 
-      installing.add(unitName);
-      try {
-        const { modulePath, info } = await this.#importUnitWithInfo(unitName);
+    for (const name of this.#order) {
+      await load(name);
+      addProviders(name);
+    }
+    const configured = Object.values(this.#providers).flatMap(({ units }) => units);
+    for (const name of [...configured, ...candidates]) {
+      await load(name, { warn: `Skipped candidate ${name}` });
+      addProviders(name);
+    }
 
-        for (const dep of info.requires) {
-          if (dep.startsWith('#')) {
-            if (!result.tags.hasOwnProperty(dep)) {
-              result.errors.push(`Missing tag: ${dep} required by ${unitName}`);
-              result.success = false;
-            }
-          } else if (!visited.has(dep)) {
-            await analyzeUnit(dep);
-          }
+    // grow the graph along bare-name requirements, then pull in tag providers until nothing changes
+    const queue = [...roots];
+    while (queue.length) {
+      while (queue.length) {
+        const name = queue.shift();
+        if (inGraph.has(name)) continue;
+        inGraph.add(name);
+        const unit = await load(name);
+        addProviders(name);
+        for (const dep of unit?.info.requires ?? []) {
+          if (!dep.startsWith('#')) queue.push(dep);
         }
+        for (const dep of unit?.info.optional ?? []) {
+          if (!dep.startsWith('#') && await load(dep, { warn: `Optional dependency ${dep} of ${name} is not available` })) queue.push(dep);
+        }
+      }
+      for (const name of inGraph) {
+        const { requires = [], optional = [] } = loaded[name]?.info ?? {};
+        for (const dep of [...requires, ...optional]) {
+          if (!dep.startsWith('#')) continue;
+          queue.push(...providersFor(dep).filter(provider => !inGraph.has(provider)));
+        }
+      }
+    }
 
-        result.units.push({
-          name: unitName,
-          path: modulePath,
-          requires: info.requires,
-          provides: info.provides
-        });
-        result.order.push(unitName);
+    for (const name of inGraph) {
+      const unit = loaded[name];
+      result.graph.nodes.push({
+        id: name,
+        version: unit?.info.version ?? null,
+        description: unit?.info.description ?? null,
+        provides: unit?.info.provides ?? [],
+        installed: !!this.#records[name],
+        failed: !unit
+      });
+      if (!unit) continue;
+      const deps = [
+        ...unit.info.requires.map(dep => [dep, false]),
+        ...unit.info.optional.map(dep => [dep, true])
+      ];
+      for (const [dep, optional] of deps) {
+        const tag = dep.startsWith('#') ? dep : null;
+        const targets = tag ? providersFor(tag) : optional && !loaded[dep] ? [] : [dep];
+        if (!targets.length && !optional) fail(`Missing tag: ${dep} required by ${name}`);
+        if (!targets.length && tag && optional) result.warnings.push(`Optional tag ${dep} of ${name} has no provider`);
+        const range = unit.info.constraints[dep] ?? null;
+        for (const provider of targets) {
+          result.graph.edges.push({ from: name, to: provider, tag, range, optional });
+          const target = loaded[provider];
+          const error = target && this.#checkConstraint(dep, range, { name: provider, version: target.info.version });
+          if (error && optional) result.warnings.push(`Optional requirement ignored: ${error}, wanted by ${name}`);
+          else if (error) fail(`Unsatisfied requirement: ${error}, required by ${name}`);
+        }
+      }
+    }
 
-        for (const tag of info.provides ?? []) {
-          result.tags[tag] = unitName;
+    const present = [...new Set([...this.#order, ...inGraph])].filter(name => loaded[name]);
+    for (const name of present) {
+      for (const conflict of loaded[name].info.conflicts) {
+        for (const other of present) {
+          if (other !== name && conflictsWith({ name: other, info: loaded[other].info }, conflict)) {
+            fail(`Conflict: ${name} conflicts with ${conflict.name} (unit ${other})`);
+          }
         }
+      }
+    }
 
-        visited.add(unitName);
+    for (const tag in providers) {
+      const involved = providers[tag].filter(name => inGraph.has(name) || this.#records[name]);
+      if (involved.length) result.tags[tag] = providerOf(tag);
+      if (providers[tag].length < 2 || this.#providers[tag]?.multiple) continue;
+      result.duplicates[tag] = providers[tag];
+      if (involved.length > 1) fail(`Duplicate providers for ${tag}: ${involved.join(', ')}`);
+      else result.warnings.push(`Multiple candidates provide ${tag}: ${providers[tag].join(', ')}`);
+    }
 
-      } catch (error) {
-        result.errors.push(`Failed to analyze ${unitName}: ${error.message}`);
-        result.success = false;
-      } finally {
-        installing.delete(unitName);
+    // depth-first walk for install order, reporting each cycle with its full path
+    const visiting = [], done = new Set();
+    const visit = (name) => {
+      if (done.has(name)) return;
+      if (visiting.includes(name)) {
+        const cycle = [...visiting.slice(visiting.indexOf(name)), name];
+        result.cycles.push(cycle);
+        fail(`Dependency cycle: ${cycle.join(' -> ')}`);
+        return;
       }
-    };
+      visiting.push(name);
+      for (const edge of result.graph.edges) {
+        if (edge.from === name) visit(edge.to);
+      }
+      visiting.pop();
+      done.add(name);
+      const unit = loaded[name];
+      if (!unit) return;
+      result.order.push(name);
+      result.units.push({
+        name,
+        path: unit.modulePath,
+        version: unit.info.version,
+        requires: unit.info.requires,
+        constraints: unit.info.constraints,
+        provides: unit.info.provides,
+        installed: !!this.#records[name]
+      });
+    }
+    roots.forEach(visit);
 
-    await analyzeUnit(name);
     return result;
   }
 
-  repl(ctx = {}, { screen = false } = {}) {
+  // input and output default to the terminal, which also keeps a history file
+  repl(ctx = {}, { screen = false, input, output } = {}) {
     this.log('Welcome to MLM REPL');
     return new Promise((resolve) => {
       if (screen) {
@@ -345,15 +1502,17 @@ class MLM extends withTypeCheckers({
       const r = repl.start({
         prompt: 'mlm > ',
         useGlobal: false,
-        useColors: true,
-        ignoreUndefined: true
+        useColors: !output,
+        ignoreUndefined: true,
+        ...input && { input, output, terminal: false }
       });
       //r.context = new VMCtx(r.context);
-      r.setupHistory(path.join(process.cwd(), '.mlm-repl-history'), () => { });
+      if (!input) r.setupHistory(path.join(process.cwd(), '.mlm-repl-history'), () => { });
 
-      Object.assign(r.context, ctx, this.context, { process, global, console });
+      Object.assign(r.context, ctx, { process, global, console });
       r.context.mlmInstance = this;
       r.context.mlm = this.context;
+      setupRepl(r, this);
 
       // wait until the repl truly closes
       r.on('exit', () => {
@@ -0,0 +1,37 @@
+// catalog.js – find unit modules in directories without importing them
+
+import { readdir } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import path from 'node:path';
+
+const UNIT_FILE = /^(?!\.)(.+)\.(m?js)$/;
+
+// unit names are paths relative to the scanned directory, without extension, e.g. 'db/postgres'
+export async function scanUnitDirs(dirs) {
+  const found = [];
+  const scan = async (root, dir) => {
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      if (e.code === 'ENOENT') return;
+      throw e;
+    }
+    for (const entry of entries) {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && entry.name !== 'node_modules') await scan(root, file);
+        continue;
+      }
+      const match = entry.isFile() && entry.name.match(UNIT_FILE);
+      if (!match) continue;
+      const name = path.relative(root, path.join(dir, match[1])).split(path.sep).join('/');
+      found.push({ name, path: pathToFileURL(file).href });
+    }
+  }
+  for (const dir of [].concat(dirs)) {
+    const root = path.resolve(dir);
+    await scan(root, root);
+  }
+  return found;
+}
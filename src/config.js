@@ -0,0 +1,50 @@
+// config.js – apply a unit's info.config schema to its slice of the start config
+//
+// A schema maps option names to a type expression ('integer', 'string|none', ...), to a field spec
+// { type, default, env }, or to a nested schema. `check(type, value, label)` throws if value is not of type.
+
+const isPlain = o =>
+  o != null && (Object.getPrototypeOf(o) === Object.prototype || Object.getPrototypeOf(o) === null);
+
+// environment variables are strings; convert them according to the declared type
+function fromEnv(raw, type) {
+  const types = type.split('|');
+  if (types.includes('string')) return raw;
+  if (types.some(t => ['number', 'integer'].includes(t))) return raw.trim() === '' ? NaN : Number(raw);
+  if (types.includes('boolean')) return /^(1|true|yes|on)$/i.test(raw);
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+export function applySchema(schema, values, { check, env = {} }, path = '', errors = []) {
+  const out = {};
+  if (values === undefined) values = {};
+  if (!isPlain(values)) {
+    errors.push(`${path || 'config'} should be an object`);
+    return { value: out, errors };
+  }
+  for (const key in values) {
+    if (!(key in schema)) errors.push(`${path}${key}: unknown option`);
+  }
+  for (const key in schema) {
+    const spec = typeof schema[key] === 'string' ? { type: schema[key] } : schema[key];
+    const label = path + key;
+    if (!isPlain(spec) || !('type' in spec)) {
+      out[key] = applySchema(spec, values[key], { check, env }, label + '.', errors).value;
+      continue;
+    }
+    let value = values[key];
+    if (spec.env && env[spec.env] !== undefined) value = fromEnv(env[spec.env], spec.type);
+    if (value === undefined) value = typeof spec.default === 'function' ? spec.default() : spec.default;
+    try {
+      check(spec.type, value, label);
+    } catch (e) {
+      errors.push(e.message);
+    }
+    out[key] = value;
+  }
+  return { value: out, errors };
+}
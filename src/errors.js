@@ -0,0 +1,39 @@
+// errors.js – structured errors raised by the kernel
+
+export class InstallError extends Error {
+  constructor(unit, phase, cause) {
+    super(`Failed to install unit '${unit}' during ${phase}: ${cause?.message ?? cause}`, { cause });
+    this.name = 'InstallError';
+    this.unit = unit;
+    this.phase = phase;
+    this.path = [unit]; // chain of units that pulled in the failing one, outermost first
+  }
+}
+
+export class HookError extends Error {
+  constructor(unit, phase, cause) {
+    super(`${phase} of unit '${unit}' failed: ${cause?.message ?? cause}`, { cause });
+    this.name = 'HookError';
+    this.unit = unit;
+    this.phase = phase;
+  }
+}
+
+// every HookError raised while starting or stopping the kernel
+export class LifecycleError extends AggregateError {
+  constructor(phase, errors) {
+    super(errors, `Failed to ${phase}: ${errors.map(e => e.message).join('; ')}`);
+    this.name = 'LifecycleError';
+    this.phase = phase;
+  }
+}
+
+// per-unit configuration problems found before start, as { [unit]: [message, ...] }
+export class ConfigError extends Error {
+  constructor(errors) {
+    const details = Object.entries(errors).map(([unit, messages]) => `${unit}: ${messages.join(', ')}`);
+    super(`Invalid configuration - ${details.join('; ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
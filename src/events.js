@@ -0,0 +1,59 @@
+// events.js – minimal pub/sub shared by the kernel and its units; '*' listeners receive every event
+
+export class EventBus {
+  #listeners = new Map();
+  #onError;
+
+  constructor({ onError = (e) => { throw e; } } = {}) {
+    this.#onError = onError;
+  }
+
+  on(event, fn) {
+    if (typeof fn !== 'function') throw new TypeError(`Listener for '${event}' must be a function`);
+    if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+    this.#listeners.get(event).add(fn);
+    return () => this.off(event, fn);
+  }
+
+  once(event, fn) {
+    const off = this.on(event, (...args) => {
+      off();
+      return fn(...args);
+    });
+    return off;
+  }
+
+  off(event, fn) {
+    const listeners = this.#listeners.get(event);
+    if (!listeners) return;
+    listeners.delete(fn);
+    if (!listeners.size) this.#listeners.delete(event);
+  }
+
+  #calls(event, args) {
+    const direct = [...this.#listeners.get(event) ?? []].map(fn => () => fn(...args));
+    const wildcard = event === '*' ? [] : [...this.#listeners.get('*') ?? []].map(fn => () => fn(event, ...args));
+    return [...direct, ...wildcard];
+  }
+
+  // call listeners synchronously; failures, including rejected promises, go to onError
+  emit(event, ...args) {
+    for (const call of this.#calls(event, args)) {
+      try {
+        const ret = call();
+        if (ret instanceof Promise) ret.catch(e => this.#onError(e, event));
+      } catch (e) {
+        this.#onError(e, event);
+      }
+    }
+  }
+
+  // await listeners one after another; the first failure rejects
+  async emitSerial(event, ...args) {
+    for (const call of this.#calls(event, args)) await call();
+  }
+
+  listenerCount(event) {
+    return this.#listeners.get(event)?.size ?? 0;
+  }
+}
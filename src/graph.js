@@ -0,0 +1,51 @@
+// graph.js – render the dependency graph from analyze() as JSON, Graphviz DOT or Mermaid
+
+const label = (node) => node.version ? `${node.id}@${node.version}` : node.id;
+const edgeLabel = (edge) => [edge.tag, edge.range].filter(Boolean).join(' ');
+
+function toJSON({ graph, order, cycles, errors }) {
+  return JSON.stringify({ ...graph, order, cycles, errors }, null, 2);
+}
+
+function toDot({ graph }) {
+  const quote = (s) => `"${String(s).replace(/["\\]/g, '\\$&')}"`;
+  const lines = ['digraph mlm {', '  rankdir=LR;', '  node [shape=box];'];
+  for (const node of graph.nodes) {
+    const attrs = [`label=${quote(label(node))}`];
+    if (node.installed) attrs.push('style=filled', 'fillcolor="#e8f4e8"');
+    if (node.failed) attrs.push('color=red', 'style=dashed');
+    lines.push(`  ${quote(node.id)} [${attrs.join(', ')}];`);
+  }
+  for (const edge of graph.edges) {
+    const text = edgeLabel(edge);
+    const attrs = [text && `label=${quote(text)}`, edge.optional && 'style=dashed'].filter(Boolean);
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function toMermaid({ graph }) {
+  // mermaid ids must be plain identifiers, so nodes are numbered and labelled
+  const ids = new Map(graph.nodes.map((node, i) => [node.id, `n${i}`]));
+  const quote = (s) => `"${String(s).replace(/"/g, '#quot;')}"`;
+  const lines = ['graph LR'];
+  for (const node of graph.nodes) {
+    lines.push(`  ${ids.get(node.id)}[${quote(label(node))}]`);
+    if (node.failed) lines.push(`  style ${ids.get(node.id)} stroke:#f00,stroke-dasharray:4`);
+  }
+  for (const edge of graph.edges) {
+    const text = edgeLabel(edge);
+    const arrow = edge.optional ? '-.->' : '-->';
+    lines.push(`  ${ids.get(edge.from)} ${arrow}${text ? `|${quote(text)}|` : ''} ${ids.get(edge.to)}`);
+  }
+  return lines.join('\n');
+}
+
+const formats = { json: toJSON, dot: toDot, mermaid: toMermaid };
+
+export function formatGraph(result, format = 'json') {
+  const render = formats[format];
+  if (!render) throw new Error(`Unknown graph format '${format}', expected one of ${Object.keys(formats).join(', ')}`);
+  return render(result);
+}
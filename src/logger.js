@@ -0,0 +1,54 @@
+// logger.js – leveled, namespaced loggers writing records to a sink, by default the console as text or JSON lines
+
+import { format } from 'node:util';
+
+export const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const isPlain = o =>
+  o != null && (Object.getPrototypeOf(o) === Object.prototype || Object.getPrototypeOf(o) === null);
+
+const sinks = {
+  text: (record) => console[record.level](`[${record.namespace}]`, ...record.args),
+  json: ({ time, level, namespace, message, fields }) => {
+    process.stdout.write(JSON.stringify({ time, level, namespace, message, ...fields }) + '\n');
+  }
+};
+
+// the level for a namespace is the most specific entry in levels, so 'api' also covers 'api:http'
+const levelOf = (namespace, levels, fallback) => {
+  for (let ns = namespace; ; ns = ns.slice(0, ns.lastIndexOf(':'))) {
+    if (Object.hasOwn(levels, ns)) return levels[ns];
+    if (!ns.includes(':')) return fallback;
+  }
+}
+
+/**
+ * Returns a function that creates the logger for a namespace. A logger is called like console.log,
+ * which logs at info level, and has a method per level. A trailing plain object after a message
+ * becomes the record's fields.
+ */
+export function createLogging({ level = 'info', levels = {}, format: output = 'text', sink } = {}) {
+  for (const [ns, lvl] of [['default', level], ...Object.entries(levels)]) {
+    if (!LEVELS.includes(lvl)) throw new Error(`Invalid log level '${lvl}' for ${ns}, expected one of ${LEVELS.join(', ')}`);
+  }
+  if (!sink && !sinks[output]) throw new Error(`Unknown log format '${output}', expected one of ${Object.keys(sinks).join(', ')}`);
+  const write = sink ?? sinks[output];
+
+  const logger = (namespace) => {
+    const min = LEVELS.indexOf(levelOf(namespace, levels, level));
+    const enabled = (lvl) => LEVELS.indexOf(lvl) >= min;
+    const emit = (lvl, args) => {
+      if (!enabled(lvl)) return;
+      const structured = args.length > 1 && isPlain(args.at(-1));
+      const fields = structured ? args.at(-1) : {};
+      const message = format(...(structured ? args.slice(0, -1) : args));
+      write({ time: new Date().toISOString(), level: lvl, namespace, message, fields, args });
+    }
+    const log = (...args) => emit('info', args);
+    for (const lvl of LEVELS) log[lvl] = (...args) => emit(lvl, args);
+    log.enabled = enabled;
+    log.child = (name) => logger(`${namespace}:${name}`);
+    return log;
+  }
+  return logger;
+}
@@ -0,0 +1,155 @@
+// repl.js – dot-commands, completion and unit-contributed commands for the kernel REPL
+
+import { inspect } from 'node:util';
+import { formatGraph } from './graph.js';
+
+// commands whose argument is a unit name, and whether it must be installed already
+const UNIT_ARGS = { info: false, graph: false, install: false, uninstall: true, reload: true };
+
+// REPL globals that context properties must not replace
+const RESERVED = ['process', 'global', 'console', 'mlm', 'mlmInstance'];
+
+const table = (rows) => {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => String(row[i]).length)));
+  return rows.map(row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+const describeGraph = (result) => [
+  `Install order: ${result.order.join(' -> ') || '(none)'}`,
+  ...result.graph.edges.map(edge => `  ${edge.from} -> ${edge.to}${edge.tag ? ` (${edge.tag})` : ''}${edge.range ? ` ${edge.range}` : ''}${edge.optional ? ' optional' : ''}`),
+  ...result.warnings.map(warning => `Warning: ${warning}`),
+  ...result.errors.map(error => `Error: ${error}`)
+].join('\n');
+
+// wire the kernel app into REPL server r; units' `repl` commands come and go as they are installed and uninstalled
+export function setupRepl(r, app) {
+  const print = (value) => {
+    if (value === undefined) return;
+    r.output.write((typeof value == 'string' ? value : inspect(value, { colors: r.useColors, depth: 4 })) + '\n');
+  }
+
+  const define = (name, help, fn) => r.defineCommand(name, {
+    help,
+    action: async (arg) => {
+      r.clearBufferedCommand();
+      try {
+        print(await fn(arg.trim()));
+      } catch (e) {
+        print(`Error: ${e.message}`);
+      }
+      sync();
+      r.displayPrompt();
+    }
+  });
+
+  const unitArg = (arg) => {
+    if (!arg) throw new Error('Unit name required.');
+    return arg;
+  }
+
+  const commands = {
+    units: ['List installed units', () => {
+      const units = Object.entries(app.units).filter(([key, unit]) => key === unit.name).map(([, unit]) => unit);
+      if (!units.length) return 'No units installed.';
+      return table([
+        ['Unit', 'Version', 'Provides', 'Requires'],
+        ...units.map(unit => [unit.name, unit.info.version ?? '', unit.info.provides.join(' '), unit.info.requires.join(' ')])
+      ]);
+    }],
+    tags: ['List feature tags and their providers', () => {
+      const tags = Object.keys(app.units).filter(key => key.startsWith('#'));
+      if (!tags.length) return 'No feature tags provided.';
+      return table(tags.map(tag => [tag, app.providersOf(tag).map(unit => unit.name).join(', ')]));
+    }],
+    graph: ['Show the dependency graph of a unit: .graph <unit> [text|json|dot|mermaid]', async (arg) => {
+      const [name, format = 'text'] = arg.split(/\s+/);
+      const result = await app.analyze(unitArg(name));
+      return format == 'text' ? describeGraph(result) : formatGraph(result, format);
+    }],
+    info: ['Show the info of an installed or available unit', async (arg) => {
+      const name = unitArg(arg);
+      if (app.units[name]) return app.units[name].info;
+      const [entry] = await app.catalog({ enumerate: () => [name] });
+      if (entry.error) throw new Error(entry.error);
+      return entry;
+    }],
+    install: ['Install a unit and its dependencies', async (arg) => {
+      await app.install(unitArg(arg));
+      return `Installed ${arg}.`;
+    }],
+    uninstall: ['Uninstall a unit and its dependents', async (arg) => {
+      await app.uninstall(unitArg(arg), { cascade: true });
+      return `Uninstalled ${arg}.`;
+    }],
+    reload: ['Reload a unit and its dependents', async (arg) => {
+      await app.reload(unitArg(arg));
+      return `Reloaded ${arg}.`;
+    }],
+    start: ['Start the installed units, optionally with a JSON config', async (arg) => {
+      await app.start(arg ? JSON.parse(arg) : undefined);
+      return `State: ${app.state}`;
+    }],
+    stop: ['Stop the running units', async () => {
+      await app.stop();
+      return `State: ${app.state}`;
+    }],
+    restart: ['Stop and start again', async () => {
+      await app.restart();
+      return `State: ${app.state}`;
+    }],
+    status: ['Show the kernel state, unit phases and health', () => app.status()]
+  };
+  for (const name in commands) define(name, ...commands[name]);
+
+  const synced = new Set();
+  const contributed = new Map(); // command -> unit, replaced when the unit is reloaded
+  const refused = new Set();
+  const sync = () => {
+    // context properties become getters, so lazy services are only created when used
+    for (const key of synced) {
+      if (key in app.context) continue;
+      delete r.context[key];
+      synced.delete(key);
+    }
+    for (const key of Object.keys(app.context)) {
+      if (synced.has(key) || RESERVED.includes(key)) continue;
+      Object.defineProperty(r.context, key, { get: () => app.context[key], configurable: true, enumerable: true });
+      synced.add(key);
+    }
+    for (const [name, unit] of contributed) {
+      if (app.units[unit.name] === unit) continue;
+      delete r.commands[name];
+      contributed.delete(name);
+    }
+    for (const [key, unit] of Object.entries(app.units)) {
+      if (key !== unit.name) continue;
+      for (const [name, spec] of Object.entries(unit.repl ?? {})) {
+        if (contributed.get(name) === unit) continue;
+        if (r.commands[name]) {
+          if (!refused.has(`${unit.name}.${name}`)) app.log.warn(`REPL command .${name} of unit ${unit.name} is already taken`);
+          refused.add(`${unit.name}.${name}`);
+          continue;
+        }
+        const { help = `Command of unit ${unit.name}`, action } = typeof spec == 'function' ? { action: spec } : spec;
+        define(name, help, action);
+        contributed.set(name, unit);
+      }
+    }
+  }
+  sync();
+
+  // complete unit names after commands that take one, anything else as usual
+  const complete = r.completer;
+  r.completer = (line, callback) => {
+    const match = line.match(/^\.(\w+)\s+(\S*)$/);
+    if (!match || !(match[1] in UNIT_ARGS)) return complete.call(r, line, callback);
+    const [, command, partial] = match;
+    const names = UNIT_ARGS[command]
+      ? Promise.resolve(Object.keys(app.units).filter(name => !name.startsWith('#')))
+      : app.catalog().then(entries => entries.map(entry => entry.name), () => []);
+    names.then(
+      list => callback(null, [list.filter(name => name.startsWith(partial)), partial]),
+      error => callback(error)
+    );
+  }
+}
@@ -0,0 +1,103 @@
+// semver.js – minimal semver matching for unit requirements, e.g. 'database@^2.1' or '#storage@>=1 <3'
+
+const VERSION = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([\w.-]+))?(?:\+[\w.-]+)?$/;
+const WILDCARD = /^[x*]$/i;
+
+// split 'name@range' into parts; a leading @ belongs to scoped names like '@scope/unit'
+export function parseRequirement(req) {
+  const at = req.lastIndexOf('@');
+  if (at <= 0) return { name: req, range: null };
+  return { name: req.slice(0, at), range: req.slice(at + 1).trim() || null };
+}
+
+export function parseVersion(version) {
+  const m = String(version).trim().match(VERSION);
+  if (!m) return null;
+  return {
+    major: +m[1],
+    minor: m[2] === undefined ? null : +m[2],
+    patch: m[3] === undefined ? null : +m[3],
+    pre: m[4] ?? null
+  };
+}
+
+export function isValidVersion(version) {
+  const v = parseVersion(version);
+  return !!v && v.minor !== null && v.patch !== null;
+}
+
+function compare(a, b) {
+  for (const part of ['major', 'minor', 'patch']) {
+    const diff = (a[part] ?? 0) - (b[part] ?? 0);
+    if (diff) return Math.sign(diff);
+  }
+  if (a.pre === b.pre) return 0;
+  if (a.pre === null) return 1; // a release is higher than its prereleases
+  if (b.pre === null) return -1;
+  return a.pre < b.pre ? -1 : 1;
+}
+
+// expand a partial version like '2' or '2.1' into the [min, max) bounds it covers
+function bounds(v) {
+  const min = { major: v.major, minor: v.minor ?? 0, patch: v.patch ?? 0, pre: v.pre };
+  if (v.minor === null) return [min, { major: v.major + 1, minor: 0, patch: 0, pre: null }];
+  if (v.patch === null) return [min, { major: v.major, minor: v.minor + 1, patch: 0, pre: null }];
+  return [min, null];
+}
+
+// operator and version of a comparator, with a null version for wildcards that match anything
+function parseComparator(comparator) {
+  const [, op = '', spec] = comparator.match(/^(\^|~|>=|<=|>|<|=)?\s*(.*)$/);
+  if (!spec || WILDCARD.test(spec.split('.')[0])) return { op, v: null };
+  const v = parseVersion(spec.replace(/\.[x*]/gi, ''));
+  if (!v) throw new Error(`Invalid version range '${comparator}'`);
+  return { op, v };
+}
+
+const comparatorSets = (range) => String(range).split('||').map(set => set
+  .trim()
+  .replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1')
+  .split(/\s+/)
+);
+
+function matchComparator(version, comparator) {
+  const { op, v } = parseComparator(comparator);
+  if (!v) return true;
+  const [min, max] = bounds(v);
+  const cmp = compare(version, min);
+  switch (op) {
+    case '>': return max ? compare(version, max) >= 0 : cmp > 0;
+    case '>=': return cmp >= 0;
+    case '<': return cmp < 0;
+    case '<=': return max ? compare(version, max) < 0 : cmp <= 0;
+    case '^': {
+      if (cmp < 0) return false;
+      if (min.major > 0 || v.minor === null) return version.major === min.major;
+      if (min.minor > 0 || v.patch === null) return version.major === 0 && version.minor === min.minor;
+      return compare(version, min) === 0;
+    }
+    case '~': {
+      if (cmp < 0) return false;
+      if (v.minor === null) return version.major === min.major;
+      return version.major === min.major && version.minor === min.minor;
+    }
+    default: return max ? cmp >= 0 && compare(version, max) < 0 : cmp === 0;
+  }
+}
+
+// true if version satisfies range; ranges are comparator sets joined by '||'
+export function satisfies(version, range) {
+  const v = parseVersion(version ?? '');
+  if (!v) return false;
+  return comparatorSets(range).some(set => set.every(comparator => matchComparator(v, comparator)));
+}
+
+// every comparator is checked, unlike satisfies(), which stops at the first one that decides
+export function isValidRange(range) {
+  try {
+    for (const set of comparatorSets(range)) set.forEach(parseComparator);
+    return true;
+  } catch {
+    return false;
+  }
+}
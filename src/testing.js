@@ -0,0 +1,71 @@
+// testing.js – run units against in-memory modules, stubbed context and captured logs
+
+import mlm from "../mlm-core.js";
+
+const HOOKS = ['onBeforeLoad', 'onPrepare', 'onReady', 'onStart', 'onStop', 'onShutdown'];
+
+// record '<unit>:<hook>' each time one of the unit's lifecycle hooks runs
+const recordHooks = (name, factory, lifecycle) => async (ctx) => {
+  const config = factory ? await factory(ctx) : {};
+  if (!config || typeof config !== 'object') return config;
+  const wrapped = { ...config };
+  for (const hook of HOOKS) {
+    if (typeof config[hook] !== 'function') continue;
+    wrapped[hook] = (...args) => {
+      lifecycle.push(`${name}:${hook}`);
+      return config[hook](...args);
+    }
+  }
+  return wrapped;
+}
+
+/**
+ * units maps unit names to modules ({ info, default }) or to bare unit factories;
+ * stubs are context properties that exist before any unit installs and replace any define of the same key.
+ * Any other option is passed on to mlm().
+ */
+export function createTestKernel({ units = {}, stubs = {}, ...options } = {}) {
+  const logs = [];
+  const lifecycle = [];
+  const modules = {};
+  for (const name in units) {
+    const module = typeof units[name] === 'function' ? { info: {}, default: units[name] } : units[name];
+    modules[name] = { ...module, default: recordHooks(name, module.default, lifecycle) };
+  }
+
+  const kernel = mlm({
+    import: async (name) => {
+      if (!modules[name]) throw new Error(`Unknown unit '${name}'`);
+      return modules[name];
+    },
+    resolveModule: (name) => name,
+    ...options,
+    stubs,
+    log: {
+      level: 'debug',
+      sink: ({ namespace, level, message, args }) => logs.push({ source: namespace, level, args, message })
+    }
+  });
+
+  return {
+    mlm: kernel,
+    context: kernel.context,
+    logs,
+    lifecycle,
+    install: async (...names) => {
+      for (const name of names) await kernel.install(name);
+    },
+    logsOf: (source) => logs.filter(entry => entry.source === source).map(entry => entry.message),
+    // expected entries must have happened in this relative order; others may come in between
+    assertOrder: (expected) => {
+      let from = 0;
+      for (const entry of expected) {
+        const at = lifecycle.indexOf(entry, from);
+        if (at < 0) {
+          throw new Error(`Expected lifecycle order ${expected.join(' > ')}, got ${lifecycle.join(' > ') || 'nothing'}`);
+        }
+        from = at + 1;
+      }
+    }
+  };
+}
@@ -0,0 +1,80 @@
+// trace.js – record timed spans of unit phases and render them as Chrome trace events or a summary table
+
+import { performance } from 'node:perf_hooks';
+
+export class Tracer {
+  #origin = performance.now();
+  spans = [];
+
+  // time fn as a span of unit (null for the kernel itself); failed spans keep the error message
+  async span(unit, name, cat, fn) {
+    const start = performance.now();
+    const span = { unit, name, cat, start: start - this.#origin, duration: 0, error: null };
+    try {
+      return await fn();
+    } catch (e) {
+      span.error = e?.message ?? String(e);
+      throw e;
+    } finally {
+      span.duration = performance.now() - start;
+      this.spans.push(span);
+    }
+  }
+}
+
+const round = (ms) => Math.round(ms * 1000) / 1000;
+
+// one row per unit, numbered in order of appearance; the kernel's own spans come first
+function toChrome(spans) {
+  const threads = new Map([[null, 0]]);
+  for (const span of spans) {
+    if (!threads.has(span.unit)) threads.set(span.unit, threads.size);
+  }
+  const events = [...threads].map(([unit, tid]) => ({
+    name: 'thread_name', ph: 'M', pid: 1, tid, args: { name: unit ?? 'kernel' }
+  }));
+  for (const span of [...spans].sort((a, b) => a.start - b.start)) {
+    events.push({
+      name: span.name,
+      cat: span.cat,
+      ph: 'X',
+      ts: round(span.start * 1000),
+      dur: round(span.duration * 1000),
+      pid: 1,
+      tid: threads.get(span.unit),
+      args: span.error ? { error: span.error } : {}
+    });
+  }
+  return JSON.stringify({ traceEvents: events, displayTimeUnit: 'ms' });
+}
+
+// time per unit spent installing, starting and stopping, slowest unit first
+function toSummary(spans) {
+  const units = new Map();
+  for (const span of spans) {
+    if (span.unit === null) continue;
+    if (!units.has(span.unit)) units.set(span.unit, { install: 0, start: 0, stop: 0, slowest: null });
+    const row = units.get(span.unit);
+    const column = span.cat == 'install' ? 'install' : span.name == 'onStart' ? 'start' : 'stop';
+    row[column] += span.duration;
+    if (!row.slowest || span.duration > row.slowest.duration) row.slowest = span;
+  }
+  const ms = (n) => n.toFixed(1);
+  const rows = [...units]
+    .map(([unit, row]) => ({ unit, ...row, total: row.install + row.start + row.stop }))
+    .sort((a, b) => b.total - a.total)
+    .map(row => [row.unit, ms(row.install), ms(row.start), ms(row.stop), ms(row.total), `${row.slowest.name} (${ms(row.slowest.duration)})`]);
+  const table = [['Unit', 'Install ms', 'Start ms', 'Stop ms', 'Total ms', 'Slowest phase'], ...rows];
+  const widths = table[0].map((_, i) => Math.max(...table.map(row => row[i].length)));
+  return table
+    .map(row => row.map((cell, i) => i == 0 || i == 5 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  ').trimEnd())
+    .join('\n');
+}
+
+const formats = { chrome: toChrome, summary: toSummary, json: (spans) => JSON.stringify(spans, null, 2) };
+
+export function formatTrace(spans, format = 'chrome') {
+  const render = formats[format];
+  if (!render) throw new Error(`Unknown trace format '${format}', expected one of ${Object.keys(formats).join(', ')}`);
+  return render(spans);
+}
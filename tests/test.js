@@ -1,219 +1,257 @@
 import { describe, it, assert, assertThrows, assertDoesNotThrow, report } from './tiny-test.js';
-import MLM from '../mlm-core.js';
+import { PassThrough } from 'node:stream';
+import { spawn } from 'node:child_process';
+import { mkdtemp, writeFile } from 'node:fs/promises';
+import { rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import MLM, { InstallError, LifecycleError, ConfigError, formatGraph, formatTrace, createTestKernel } from '../mlm-core.js';
 
 /* ---------- helpers ---------- */
 const sleep = ms => new Promise(r => setTimeout(r, ms));
 
-const fakeImport = name => Promise.resolve({
+/* ---------- in-memory units ---------- */
+const kernel = (modules, options = {}) => MLM({
+  import: async name => modules[name],
+  resolveModule: name => name,
+  ...options
+});
+
+const fixtures = {
   /* ---------- basic modules ---------- */
-  logger: () => ({
-    define: { logger: () => ({ logs: [], log(x) { this.logs.push(x); } }) }
-  }),
+  logger: {
+    info: {},
+    default: () => ({
+      define: { logger: () => ({ logs: [], log(x) { this.logs.push(x); } }) }
+    })
+  },
 
-  cache: () => ({
-    requires: ['logger'],
-    define: { cache: () => new Map() }
-  }),
+  cache: {
+    info: { requires: ['logger'] },
+    default: () => ({ define: { cache: () => new Map() } })
+  },
 
   /* ---------- lifecycle recorder ---------- */
-  recorder: () => {
-    const order = [];
-    return {
-      define: { recorder: () => order },
-      onBeforeLoad() { order.push('beforeLoad'); },
-      onPrepare() { order.push('prepare'); },
-      onReady() { order.push('ready'); },
-      onStart() { order.push('start'); },
-      onStop() { order.push('stop'); },
-      onTeardown() { order.push('teardown'); }
-    };
+  recorder: {
+    info: {},
+    default: () => {
+      const order = [];
+      return {
+        define: { recorder: () => order },
+        onBeforeLoad() { order.push('beforeLoad'); },
+        onPrepare() { order.push('prepare'); },
+        onReady() { order.push('ready'); },
+        onStart() { order.push('start'); },
+        onStop() { order.push('stop'); },
+        onShutdown() { order.push('shutdown'); }
+      };
+    }
   },
 
   /* ---------- dotted keys ---------- */
-  dotted: () => ({
-    define: {
-      'config.ttl': () => 300,
-      'config.db.host': () => 'localhost'
-    }
-  }),
+  dotted: {
+    info: {},
+    default: () => ({
+      'define.ttl': () => 300,
+      'define.host': () => 'localhost'
+    })
+  },
 
   /* ---------- tags ---------- */
-  '#storage': () => ({
-    implements: ['#storage'],
-    define: { storage: () => ({ get: () => 'mem', set: () => { } }) }
-  }),
+  memory: {
+    info: { provides: ['#storage'] },
+    default: () => ({ define: { storage: () => ({ get: () => 'mem', set: () => { } }) } })
+  },
 
-  redis: () => ({
-    implements: ['#storage'],
-    define: { storage: () => ({ get: () => 'redis', set: () => { } }) }
-  }),
+  redis: {
+    info: { provides: ['#storage'] },
+    default: () => ({ define: { storage: () => ({ get: () => 'redis', set: () => { } }) } })
+  },
 
-  consumer: () => ({
-    requires: ['#storage'],
-    define: { answer: ctx => ctx.storage.get() }
-  }),
+  consumer: {
+    info: { requires: ['#storage'] },
+    default: () => ({ define: { answer: ctx => ctx.storage.get() } })
+  },
 
   /* ---------- loaders ---------- */
-  routeLoader: () => ({
-    requires: ['logger'],
-    loaders: {
-      routes: async (routes) => {
-        ctx.logger.log('routes loaded');
-        ctx.routes = routes;
+  routeLoader: {
+    info: { requires: ['logger'] },
+    default: ctx => ({
+      define: { routes: () => ({}) },
+      register: {
+        routes: async (routes) => {
+          ctx.logger.log('routes loaded');
+          Object.assign(ctx.routes, routes);
+        }
       }
-    }
-  }),
+    })
+  },
 
-  api: () => ({
-    requires: ['routeLoader'],
-    routes: { '/ping': (_, res) => res('pong') }
-  }),
+  api: {
+    info: { requires: ['routeLoader'] },
+    default: () => ({ routes: { '/ping': (_, res) => res('pong') } })
+  },
+
+  api2: {
+    info: { requires: ['routeLoader'] },
+    default: () => ({ routes: { '/v2': (_, res) => res('v2') } })
+  },
 
-  api2: () => ({
-    requires: ['routeLoader'],
-    routes: { '/v2': (_, res) => res('v2') }
-  }),
   /* ---------- async teardown ---------- */
-  res: () => ({
-    define: { res: () => ({ closed: false }) },
-    onTeardown: async () => { await sleep(10); res.closed = true; }
-  }),
+  res: {
+    info: {},
+    default: () => {
+      const res = { closed: false };
+      return {
+        define: { res: () => res },
+        onShutdown: async () => { await sleep(10); res.closed = true; }
+      };
+    }
+  },
 
   /* ---------- broken modules ---------- */
-  brokenFactory: () => { throw new Error('factory fail'); },
-  brokenStart: () => ({ onStart() { throw new Error('start fail'); } }),
-  brokenTeardown: () => ({
-    define: { x: 1 },
-    onTeardown() { throw new Error('teardown fail'); }
-  }),
+  brokenFactory: { info: {}, default: () => { throw new Error('factory fail'); } },
+  brokenStart: { info: {}, default: () => ({ onStart() { throw new Error('start fail'); } }) },
+  brokenTeardown: { info: {}, default: () => ({ onShutdown() { throw new Error('teardown fail'); } }) },
 
-  /* ---------- duplicate tag ---------- */
-  dup1: () => ({ implements: ['#dup'] }),
-  dup2: () => ({ implements: ['#dup'] }),
+  /* ---------- duplicates ---------- */
+  dup1: { info: { provides: ['#dup'] }, default: () => ({}) },
+  dup2: { info: { provides: ['#dup'] }, default: () => ({}) },
+  loggerClone: { info: {}, default: () => ({ define: { logger: () => ({}) } }) },
 
   /* ---------- service manager ---------- */
-  serviceManager: () => ({
-    requires: ['logger'],
-    define: {
-      services: (ctx) => new Proxy({}, {
-        get: (target, name) => {
-          if (!target[name]) {
-            ctx.log(`[MLM] Instantiating service '${name}'...`);
-            target[name] = ctx.serviceDefs[name](ctx);
-          }
-          return target[name];
-        }
-      }),
-      serviceDefs: () => ({})
-    },
-    loaders: {
-      services: async (config, ctx) => {
+  serviceManager: {
+    info: { requires: ['logger'] },
+    default: ctx => {
+      const defs = {}, created = {};
+      const add = (config) => {
         for (const name in config) {
-          ctx.assert(!ctx.serviceDefs[name], `Service definition for '${name}' already exists.`);
+          ctx.assert(!defs[name], `Service definition for '${name}' already exists.`);
           ctx.assert.is.function(config[name], `.service.${name}`);
-          ctx.serviceDefs[name] = config[name];
+          defs[name] = config[name];
         }
-      },
-      preloadServices: async (config, ctx) => {
-        for (const name in config) {
-          ctx.assert(!ctx.serviceDefs[name], `Service definition for '${name}' already exists.`);
-          ctx.assert.is.function(config[name], `.service.${name}`);
-          ctx.serviceDefs[name] = config[name];
-          ctx.services[name] = await ctx.serviceDefs[name](ctx);
+      };
+      return {
+        define: {
+          services: () => new Proxy(created, {
+            get: (target, name) => {
+              if (!target[name] && defs[name]) {
+                ctx.log(`Instantiating service '${name}'...`);
+                target[name] = defs[name](ctx);
+              }
+              return target[name];
+            }
+          })
+        },
+        register: {
+          services: async (config) => add(config),
+          preloadServices: async (config) => {
+            add(config);
+            for (const name in config) created[name] = await defs[name](ctx);
+          }
         }
-      }
+      };
     }
-  }),
+  },
 
   /* ---------- user of lazy service ---------- */
-  user: () => ({
-    requires: ['serviceManager'],
-    define: {
-      user: ctx => ({
-        ping() { return ctx.services.mailer.send(); }
-      })
-    },
-    loaders: {
+  user: {
+    info: { requires: ['serviceManager'] },
+    default: ctx => ({
+      define: {
+        user: () => ({
+          ping() { return ctx.services.mailer.send(); }
+        })
+      },
       services: {
         mailer: (ctx) => ({
           send() { ctx.logger.log('mail sent'); return 'ok'; }
         })
       }
-    }
-  }),
+    })
+  },
 
   /* ---------- eager pre-load user ---------- */
-  eager: () => ({
-    requires: ['serviceManager'],
-    loaders: {
+  eager: {
+    info: { requires: ['serviceManager'] },
+    default: ctx => ({
       preloadServices: {
-        db: async (ctx) => {
-          await new Promise(r => setTimeout(r, 10)); // fake async init
+        db: async () => {
+          await sleep(10); // fake async init
           return { query: () => 'rows' };
         }
-      }
-    },
-    onReady(ctx) { ctx.log('db ready:', ctx.services.db.query()); }
-  })
+      },
+      onReady() { ctx.log('db ready:', ctx.services.db.query()); }
+    })
+  }
+};
 
-}[name] || (() => ({ define: {} })));
+const classic = () => kernel(fixtures, { providers: { '#storage': ['memory', 'redis'] } });
 
 /* ---------- tests ---------- */
 describe('MLM core', () => {
   it('starts and stops a single module', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('logger');
-    assert(mlm.modules.logger);
+    const mlm = classic();
+    await mlm.install('logger');
+    await mlm.start();
+    assert(mlm.units.logger);
     await mlm.stop();
+    assert(mlm.state === 'stopped');
   });
 
   it('loads dependencies in order', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('cache');
-    assert(mlm.modules.logger);
-    assert(mlm.modules.cache);
+    const mlm = classic();
+    await mlm.install('cache');
+    await mlm.start();
+    assert(mlm.units.logger);
+    assert(mlm.units.cache);
     await mlm.stop();
   });
 
   it('records full lifecycle', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('recorder');
-    const order = mlm.modules.recorder.recorder;
+    const mlm = classic();
+    await mlm.install('recorder');
+    await mlm.start();
+    const order = mlm.context.recorder;
     assert(JSON.stringify(order) === '["beforeLoad","prepare","ready","start"]');
     await mlm.stop();
-    assert(order.pop() === 'teardown');
+    assert(order.join() === 'beforeLoad,prepare,ready,start,stop,shutdown');
   });
 
   it('expands dotted keys', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('dotted');
-    assert(mlm.modules.dotted.define['config.ttl'] === 300);
-    assert(mlm.modules.dotted.define['config.db.host'] === 'localhost');
-    await mlm.stop();
+    const mlm = classic();
+    await mlm.install('dotted');
+    assert(mlm.context.ttl === 300);
+    assert(mlm.context.host === 'localhost');
   });
 
   it('injects tagged implementation', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('consumer');
+    const mlm = classic();
+    await mlm.install('consumer');
+    await mlm.start();
     assert(mlm.context.answer === 'mem');
     await mlm.stop();
   });
 
   it('throws on duplicate tag', async () => {
-    const mlm = new MLM(fakeImport);
-    await assertThrows(() => mlm.start('dup1', 'dup2'), 'Implementation tag #dup already exists');
+    const mlm = classic();
+    await mlm.install('dup1');
+    await assertThrows(() => mlm.install('dup2'), 'Feature tag #dup already included by unit dup1');
   });
 
   it('runs custom loaders', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('api');
+    const mlm = classic();
+    await mlm.install('api');
+    await mlm.start();
     assert(mlm.context.routes['/ping']);
     await mlm.stop();
   });
 
   it('awaits async teardown', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('res');
+    const mlm = classic();
+    await mlm.install('res');
+    await mlm.start();
     const res = mlm.context.res;
     assert(res.closed === false);
     await mlm.stop();
@@ -221,99 +259,1154 @@ describe('MLM core', () => {
   });
 
   it('factory exception fails fast', async () => {
-    const mlm = new MLM(fakeImport);
-    await assertThrows(() => mlm.start('brokenFactory'), 'factory fail');
+    const mlm = classic();
+    await assertThrows(() => mlm.install('brokenFactory'), 'factory fail');
   });
 
   it('onStart exception fails fast', async () => {
-    const mlm = new MLM(fakeImport);
-    await assertThrows(() => mlm.start('brokenStart'), 'start fail');
+    const mlm = classic();
+    await mlm.install('brokenStart');
+    await assertThrows(() => mlm.start(), 'start fail');
+    assert(mlm.state === 'failed');
   });
 
   it('teardown exception still kills process', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('brokenTeardown');
+    const mlm = classic();
+    await mlm.install('brokenTeardown');
+    await mlm.start();
     await assertThrows(() => mlm.stop(), 'teardown fail');
+    assert(mlm.state === 'stopped');
   });
 
   it('forbids concurrent start', async () => {
-    const mlm = new MLM(fakeImport);
-    mlm.start('logger'); // no await
-    await assertThrows(() => mlm.start('cache'), 'Busy');
+    const mlm = classic();
+    await mlm.install('logger');
+    const starting = mlm.start(); // no await
+    await assertThrows(() => mlm.start(), 'Busy');
+    await starting;
   });
 
   it('forbids start while installing', async () => {
-    const mlm = new MLM(fakeImport);
-    mlm.install('logger'); // no await
-    await assertThrows(() => mlm.start('cache'), 'Busy');
+    const mlm = classic();
+    const installing = mlm.install('logger'); // no await
+    await assertThrows(() => mlm.start(), 'Busy');
+    await installing;
   });
 
   it('forbids stop when not started', async () => {
-    const mlm = new MLM(fakeImport);
+    const mlm = classic();
     await assertThrows(() => mlm.stop(), 'Not started');
   });
 
   it('idempotent install', async () => {
-    const mlm = new MLM(fakeImport);
+    const mlm = classic();
     await mlm.install('logger');
     await mlm.install('logger'); // should not throw
-    assert(mlm.modules.logger);
+    assert(mlm.units.logger);
   });
 
   it('lazy-loads services', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('user');
+    const mlm = classic();
+    await mlm.install('user');
+    await mlm.start();
+    assert(!mlm.context.logger.logs.includes('mail sent'));
     assert(mlm.context.user.ping() === 'ok');
     assert(mlm.context.services.mailer); // created on first access
+    assert(mlm.context.logger.logs.includes('mail sent'));
     await mlm.stop();
   });
 
   it('pre-loads async services', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('eager');
-    // no throw = db was instantiated during preload
+    const mlm = classic();
+    await mlm.install('eager');
+    await mlm.start();
+    // onReady reading it proves db was instantiated during preload
+    assert(mlm.context.services.db.query() === 'rows');
     await mlm.stop();
   });
 
   it('loaders see final context', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('routeLoader', 'api'); // api needs routeLoader
-    assert(mlm.context.express); // set by routeLoader loader
-    await mlm.stop();
+    const mlm = classic();
+    await mlm.install('routeLoader');
+    await mlm.install('api'); // api needs routeLoader
+    assert(mlm.context.logger.logs.includes('routes loaded')); // logged by the routeLoader loader
   });
 
-
   it('loader aggregates multi-module property', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('api', 'api2');
+    const mlm = classic();
+    await mlm.install('api');
+    await mlm.install('api2');
+    await mlm.start();
     assert(mlm.context.routes['/ping']);
     assert(mlm.context.routes['/v2']);
     await mlm.stop();
   });
 
-  // already have #storage, consumer requires it – nothing to add, just
   it('tag require resolves to concrete module', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('consumer');
-    assert(mlm.context.answer === 'mem');
-    await mlm.stop();
+    const mlm = classic();
+    await mlm.install('consumer');
+    assert(mlm.units['#storage'] === mlm.units.memory);
+    assert(!mlm.units.redis);
   });
 
   it('stop hooks still queued after start failure', async () => {
-    const mlm = new MLM(fakeImport);
-    await assertThrows(() => mlm.start('brokenStart'), 'start fail');
-    // currently throws before onStart runs, so no-op; just documents behaviour
+    const mlm = classic();
+    await mlm.install('recorder');
+    await mlm.install('brokenStart');
+    await assertThrows(() => mlm.start(), 'start fail');
+    await mlm.stop();
+    assert(mlm.context.recorder.includes('stop'));
   });
+
   it('idempotent stop', async () => {
-    const mlm = new MLM(fakeImport);
-    await mlm.start('logger');
+    const mlm = classic();
+    await mlm.install('logger');
+    await mlm.start();
     await mlm.stop();
-    await assertDoesNotThrow(() => mlm.stop());
+    // a second stop is refused and leaves the instance as it was
+    await assertThrows(() => mlm.stop(), 'Not started');
+    assert(mlm.state === 'stopped');
   });
 
   it('throws on duplicate context key', async () => {
-    const mlm = new MLM(fakeImport);
-    await assertThrows(() => mlm.start('logger', 'logger'), 'Context property \'logger\' already exists');
+    const mlm = classic();
+    await mlm.install('logger');
+    await assertThrows(() => mlm.install('loggerClone'), 'Context property \'logger\' already exists');
+  });
+});
+
+let baseVersion = 1;
+const units = {
+  base: {
+    info: { provides: ['#base'] },
+    default: () => ({ define: { base: () => 'v' + baseVersion } })
+  },
+  dependent: {
+    info: { requires: ['base'] },
+    default: ctx => ({ define: { dependent: () => 'uses ' + ctx.base } })
+  },
+};
+
+describe('Uninstall and reload', () => {
+  it('refuses to uninstall a unit with dependents', async () => {
+    const mlm = kernel(units);
+    await mlm.install('dependent');
+    await assertThrows(() => mlm.uninstall('base'), 'required by dependent');
+  });
+
+  it('cascades uninstall to dependents', async () => {
+    const mlm = kernel(units);
+    await mlm.install('dependent');
+    await mlm.uninstall('base', { cascade: true });
+    assert(!mlm.units.base && !mlm.units['#base'] && !mlm.units.dependent);
+    assert(!('base' in mlm.context) && !('dependent' in mlm.context));
+  });
+
+  it('reloads a unit and its dependents', async () => {
+    const mlm = kernel(units);
+    await mlm.install('dependent');
+    baseVersion = 2;
+    await mlm.reload('base');
+    assert(mlm.context.dependent === 'uses v2');
+  });
+
+  it('restores the previous version when a reload fails', async () => {
+    const started = [];
+    const modules = {
+      base: { info: {}, default: () => ({ define: { base: () => 'v1' }, onStart: () => started.push('base') }) },
+      web: { info: { requires: ['base'] }, default: ctx => ({ define: { web: () => 'uses ' + ctx.base }, onStart: () => started.push('web') }) },
+    };
+    const broken = { info: {}, default: () => { throw new Error('syntax error'); } };
+    const mlm = MLM({ import: async (name, { reload } = {}) => reload ? broken : modules[name], resolveModule: name => name });
+    await mlm.install('web');
+    await mlm.start();
+    const error = await mlm.reload('base').catch(e => e);
+    assert(error instanceof InstallError && error.unit === 'base' && error.phase === 'factory');
+    assert(Object.keys(mlm.units).join() === 'base,web' && mlm.context.web === 'uses v1');
+    assert(mlm.state === 'started' && started.join() === 'base,web,base,web');
+  });
+});
+
+describe('Transactional install', () => {
+  const failing = {
+    ...units,
+    broken: {
+      info: { requires: ['base'] },
+      default: () => ({ define: { ok: () => 1 }, onReady() { throw new Error('not ready'); } })
+    },
+  };
+
+  it('rolls back every unit pulled in by a failed install', async () => {
+    const mlm = kernel(failing);
+    await assertThrows(() => mlm.install('broken'), 'not ready');
+    assert(!Object.keys(mlm.units).length);
+    assert(!Object.keys(mlm.context).length);
+  });
+
+  it('reports the failing unit and phase', async () => {
+    const error = await kernel(failing).install('broken').catch(e => e);
+    assert(error instanceof InstallError);
+    assert(error.unit === 'broken' && error.phase === 'onReady');
+  });
+
+  it('returns to idle after a failed install', async () => {
+    const mlm = kernel(failing);
+    await assertThrows(() => mlm.install('broken'), 'not ready');
+    await mlm.install('dependent');
+    assert(mlm.context.dependent);
+  });
+});
+
+describe('Version constraints', () => {
+  const versioned = {
+    database: { info: { version: '2.3.0', provides: ['#storage'] }, default: () => ({}) },
+    compatible: { info: { requires: ['database@^2.1', '#storage@>=1'] }, default: () => ({}) },
+    incompatible: { info: { requires: ['database@^3'] }, default: () => ({}) },
+  };
+
+  it('keeps version metadata', async () => {
+    const mlm = kernel(versioned);
+    await mlm.install('database');
+    assert(mlm.units.database.info.version === '2.3.0');
+  });
+
+  it('accepts satisfied constraints', async () => {
+    const mlm = kernel(versioned);
+    await mlm.install('compatible');
+    assert(mlm.units.compatible.info.requires.includes('database'));
+  });
+
+  it('rejects unsatisfied constraints on install', async () => {
+    const mlm = kernel(versioned);
+    await assertThrows(() => mlm.install('incompatible'), 'database@^3 is not satisfied');
+  });
+
+  it('reports unsatisfied constraints in analyze', async () => {
+    const mlm = kernel(versioned);
+    const result = await mlm.analyze('incompatible');
+    assert(!result.success);
+    assert(result.errors[0].includes('database@^3'));
+  });
+
+  it('ignores invalid versions until a constraint needs them', async () => {
+    const mlm = kernel({
+      ...versioned,
+      loose: { info: { version: '1.0' }, default: () => ({}) },
+      strictUser: { info: { requires: ['loose@^1'] }, default: () => ({}) },
+    });
+    await mlm.install('loose');
+    assert(mlm.units.loose.info.version === null);
+    await assertThrows(() => mlm.install('strictUser'), 'loose@^1 is not satisfied by unit loose (no version)');
+  });
+
+  it('reports invalid ranges clearly, in analyze too', async () => {
+    const mlm = kernel({
+      ...versioned,
+      badRange: { info: { requires: ['database@>=abc'] }, default: () => ({}) },
+      badConflict: { info: { conflicts: ['database@^2 || nope'] }, default: () => ({}) },
+    });
+    const result = await mlm.analyze('badRange');
+    assert(!result.success && result.errors[0].includes("Invalid version range '>=abc' in requires 'database@>=abc'"));
+    await assertThrows(() => mlm.install('badConflict'), "Invalid version range '^2 || nope' in conflicts");
+  });
+});
+
+describe('Service lifetimes', () => {
+  let created = 0;
+  const services = {
+    services: {
+      info: {},
+      default: () => ({
+        define: {
+          withContext: ctx => ctx,
+          lazy: { lazy: true, factory: () => ({ id: ++created }) },
+          transient: { transient: true, factory: () => ({}) },
+        }
+      })
+    },
+  };
+
+  it('passes the unit context to factories', async () => {
+    const mlm = kernel(services);
+    await mlm.install('services');
+    assert(typeof mlm.context.withContext.log === 'function');
+  });
+
+  it('creates lazy services once, on first access', async () => {
+    const mlm = kernel(services);
+    created = 0;
+    await mlm.install('services');
+    assert(created === 0);
+    assert(mlm.context.lazy === mlm.context.lazy);
+    assert(created === 1);
+  });
+
+  it('creates transient services on every access', async () => {
+    const mlm = kernel(services);
+    await mlm.install('services');
+    assert(mlm.context.transient !== mlm.context.transient);
+  });
+});
+
+describe('Concurrent lifecycle', () => {
+  const events = [];
+  const timed = (name, ms) => ({
+    info: {},
+    default: () => ({
+      async onStart() { await sleep(ms); events.push(name + ' start'); },
+      async onStop() { await sleep(ms); events.push(name + ' stop'); }
+    })
+  });
+  const graph = {
+    slow: timed('slow', 30),
+    fast: timed('fast', 10),
+    app: {
+      info: { requires: ['slow', 'fast'] },
+      default: () => ({
+        onStart() { events.push('app started'); },
+        onStop() { events.push('app stopped'); }
+      })
+    },
+  };
+
+  it('starts independent units in parallel', async () => {
+    const mlm = kernel(graph);
+    await mlm.install('app');
+    events.length = 0;
+    await mlm.start();
+    assert(events.join() === 'fast start,slow start,app started');
+  });
+
+  it('stops dependents before their dependencies', async () => {
+    const mlm = kernel(graph);
+    await mlm.install('app');
+    await mlm.start();
+    events.length = 0;
+    await mlm.stop();
+    assert(events[0] === 'app stopped');
+  });
+
+  it('keeps sequential order on request', async () => {
+    const mlm = kernel(graph, { sequential: true });
+    await mlm.install('app');
+    events.length = 0;
+    await mlm.start();
+    assert(events.join() === 'slow start,fast start,app started');
+  });
+});
+
+describe('Lifecycle errors and timeouts', () => {
+  const shutdowns = [];
+  const failing = {
+    failingStop: {
+      info: {},
+      default: () => ({
+        onStop() { throw new Error('stop fail'); },
+        onShutdown() { shutdowns.push('failingStop'); }
+      })
+    },
+    hangingStop: {
+      info: { requires: ['failingStop'], timeouts: { onStop: 10 } },
+      default: () => ({
+        onStop: () => new Promise(() => { }),
+        onShutdown() { shutdowns.push('hangingStop'); }
+      })
+    },
+  };
+
+  it('runs every shutdown hook and aggregates failures', async () => {
+    const mlm = kernel(failing);
+    await mlm.install('hangingStop');
+    await mlm.start();
+    try {
+      await mlm.stop();
+      assert(false, 'stop should throw');
+    } catch (e) {
+      assert(e instanceof LifecycleError);
+      assert(e.errors.length === 2);
+      assert(e.errors.some(({ unit, phase }) => unit === 'hangingStop' && phase === 'onStop'));
+    }
+    assert(shutdowns.length === 2);
+  });
+
+  it('stops only the units that did start', async () => {
+    const stopped = [];
+    const mlm = kernel({
+      ok: { info: {}, default: () => ({ onStop() { stopped.push('ok'); }, onShutdown() { stopped.push('ok:shutdown'); } }) },
+      broken: { info: {}, default: () => ({ onStart() { throw new Error('no db'); }, onStop() { stopped.push('broken'); }, onShutdown() { stopped.push('broken:shutdown'); } }) },
+    });
+    await mlm.install('ok');
+    await mlm.install('broken');
+    await assertThrows(() => mlm.start(), 'no db');
+    await mlm.stop();
+    assert(stopped.join() === 'ok,ok:shutdown');
+  });
+
+  it('applies kernel-wide phase timeouts', async () => {
+    const mlm = kernel({
+      slowStart: { info: {}, default: () => ({ onStart: () => sleep(50) }) }
+    }, { timeouts: { onStart: 10 } });
+    await mlm.install('slowStart');
+    await assertThrows(() => mlm.start(), 'Timed out after 10 ms');
+  });
+});
+
+describe('Signal handling', () => {
+  it('stops and exits on a handled signal', async () => {
+    const drained = [];
+    const mlm = kernel({
+      server: { info: {}, default: () => ({ onDrain: () => 'busy', onStop() { drained.push('stopped'); } }) }
+    });
+    await mlm.install('server');
+    await mlm.start();
+    let remove;
+    const exited = new Promise(resolve => remove = mlm.handleSignals({ signals: ['SIGUSR2'], errors: false, exit: resolve }));
+    process.emit('SIGUSR2', 'SIGUSR2');
+    try {
+      assert(await exited === 0);
+      assert(drained[0] === 'stopped');
+    } finally {
+      remove();
+    }
+  });
+
+  it('forces exit after the drain deadline', async () => {
+    const mlm = kernel({
+      stuck: { info: {}, default: () => ({ onStop: () => new Promise(() => { }) }) }
+    });
+    await mlm.install('stuck');
+    await mlm.start();
+    let remove;
+    const exited = new Promise(resolve => remove = mlm.handleSignals({ signals: ['SIGUSR2'], errors: false, drainTimeout: 10, exit: resolve }));
+    process.emit('SIGUSR2', 'SIGUSR2');
+    try {
+      assert(await exited === 1);
+    } finally {
+      remove();
+    }
+    assert(!process.listenerCount('SIGUSR2'));
+  });
+});
+
+describe('Event bus', () => {
+  const bus = {
+    listener: {
+      info: {},
+      default: ctx => {
+        const seen = [];
+        ctx.on('*', event => seen.push(event));
+        return { define: { seen: () => seen } };
+      }
+    },
+    emitter: {
+      info: { requires: ['listener'] },
+      default: ctx => ({ onStart() { ctx.emit('custom', 42); } })
+    },
+  };
+
+  it('delivers unit and kernel events', async () => {
+    const mlm = kernel(bus);
+    await mlm.install('emitter');
+    await mlm.start();
+    const seen = mlm.context.seen;
+    assert(seen.includes('unit:installed'));
+    assert(seen.includes('kernel:starting') && seen.includes('kernel:started'));
+    assert(seen.includes('custom'));
+  });
+
+  it('awaits listeners in emitSerial', async () => {
+    const mlm = kernel(bus);
+    const order = [];
+    mlm.on('job', async () => { await sleep(10); order.push(1); });
+    mlm.on('job', () => order.push(2));
+    await mlm.emitSerial('job');
+    assert(order.join() === '1,2');
+  });
+
+  it('removes unit listeners on uninstall', async () => {
+    const mlm = kernel(bus);
+    await mlm.install('emitter');
+    const seen = mlm.context.seen;
+    await mlm.uninstall('listener', { cascade: true });
+    const count = seen.length;
+    mlm.emit('custom');
+    assert(seen.length === count);
+  });
+});
+
+describe('Config schemas', () => {
+  const configured = {
+    web: {
+      info: { config: { port: { type: 'integer', default: 3000, env: 'PORT' }, host: 'string' } },
+      default: () => {
+        const received = [];
+        return { define: { received: () => received }, onStart(config) { received.push(config); } };
+      }
+    },
+  };
+
+  it('hands each unit its validated slice with defaults', async () => {
+    const mlm = kernel(configured, { env: {} });
+    await mlm.install('web');
+    await mlm.start({ web: { host: 'localhost' }, other: { secret: 1 } });
+    const [config] = mlm.context.received;
+    assert(config.port === 3000 && config.host === 'localhost');
+    assert(!('other' in config));
+  });
+
+  it('overlays environment variables', async () => {
+    const mlm = kernel(configured, { env: { PORT: '8080' } });
+    await mlm.install('web');
+    await mlm.start({ web: { host: 'localhost', port: 80 } });
+    assert(mlm.context.received[0].port === 8080);
+  });
+
+  it('rejects a start config that is not an object', async () => {
+    const mlm = kernel(configured, { env: {} });
+    await mlm.install('web');
+    await assertThrows(() => mlm.start(null), 'Start config');
+    assert(mlm.state === 'idle' && !mlm.context.received.length);
+  });
+
+  it('fails before any onStart with per-unit errors', async () => {
+    const mlm = kernel(configured, { env: {} });
+    await mlm.install('web');
+    try {
+      await mlm.start({ web: { port: 'eighty' } });
+      assert(false, 'start should throw');
+    } catch (e) {
+      assert(e instanceof ConfigError);
+      assert(e.errors.web.length === 2);
+      assert(!mlm.context.received.length);
+    }
+  });
+});
+
+describe('Dependency analysis', () => {
+  const plain = info => ({ info, default: () => ({}) });
+  const graph = {
+    app: plain({ requires: ['web', '#storage'] }),
+    web: plain({ requires: ['logger'] }),
+    logger: plain({}),
+    redis: plain({ provides: ['#storage'], requires: ['logger'] }),
+    memory: plain({ provides: ['#storage'] }),
+    first: plain({ requires: ['second'] }),
+    second: plain({ requires: ['first'] }),
+  };
+
+  it('reports cycles with their full path', async () => {
+    const result = await kernel(graph).analyze('first');
+    assert(!result.success);
+    assert(result.cycles[0].join() === 'first,second,first');
+  });
+
+  it('resolves tags across candidate units', async () => {
+    const result = await kernel(graph).analyze('app', { candidates: ['redis'] });
+    assert(result.success);
+    assert(result.tags['#storage'] === 'redis');
+    assert(result.order.join() === 'logger,web,redis,app');
+  });
+
+  it('reports missing tags regardless of traversal order', async () => {
+    const result = await kernel(graph).analyze('app');
+    assert(result.errors.some(e => e.includes('Missing tag: #storage')));
+  });
+
+  it('detects duplicate providers', async () => {
+    const result = await kernel(graph).analyze(['app', 'redis', 'memory']);
+    assert(result.duplicates['#storage'].length === 2);
+    assert(!result.success);
+  });
+
+  it('exports DOT and Mermaid graphs', async () => {
+    const result = await kernel(graph).analyze('app', { candidates: ['redis'] });
+    assert(formatGraph(result, 'dot').includes('"app" -> "redis" [label="#storage"]'));
+    assert(formatGraph(result, 'mermaid').startsWith('graph LR'));
+    assert(JSON.parse(formatGraph(result, 'json')).edges.length === 4);
+  });
+});
+
+describe('Tag providers', () => {
+  const provider = (tag, value) => ({ info: { provides: [tag] }, default: () => ({ define: { [value]: () => value } }) });
+  const pluggable = {
+    consumer: { info: { requires: ['#storage'] }, default: () => ({}) },
+    host: {
+      info: { requires: ['#plugins'] },
+      default: ctx => ({ define: { plugins: () => ctx.providersOf('#plugins').map(unit => unit.name) } })
+    },
+    redis: provider('#storage', 'redis'),
+    memory: provider('#storage', 'memory'),
+    auth: provider('#plugins', 'auth'),
+    audit: provider('#plugins', 'audit'),
+  };
+  const providers = {
+    '#storage': ['missing', 'memory', 'redis'],
+    '#plugins': { multiple: true, units: ['auth', 'audit'] }
+  };
+
+  it('installs the preferred available provider', async () => {
+    const mlm = kernel(pluggable, { providers });
+    await mlm.install('consumer');
+    assert(mlm.units['#storage'].name === 'memory');
+    assert(!mlm.units.redis);
+  });
+
+  it('collects every provider of a multi-provider tag', async () => {
+    const mlm = kernel(pluggable, { providers });
+    await mlm.install('host');
+    assert(mlm.context.plugins.join() === 'auth,audit');
+  });
+
+  it('still rejects a second provider of a single-provider tag', async () => {
+    const mlm = kernel(pluggable, { providers });
+    await mlm.install('redis');
+    await assertThrows(() => mlm.install('memory'), 'Feature tag #storage already included by unit redis');
+  });
+});
+
+describe('Optional dependencies and conflicts', () => {
+  const plain = (info, factory = () => ({})) => ({ info, default: factory });
+  const optional = {
+    app: plain({ optional: ['metrics', 'missing', 'broken'] }, ctx => ({
+      define: { available: () => ['metrics', 'missing', 'broken'].filter(ctx.has) }
+    })),
+    metrics: plain({}),
+    broken: plain({}, () => ({ define: { leftover: () => 1 }, onReady() { throw new Error('broken'); } })),
+    legacy: plain({ conflicts: ['#modern'] }),
+    modern: plain({ provides: ['#modern'] }),
+  };
+
+  it('installs what is available and skips the rest', async () => {
+    const mlm = kernel(optional);
+    await mlm.install('app');
+    assert(mlm.context.available.join() === 'metrics');
+    assert(!('leftover' in mlm.context));
+  });
+
+  it('refuses to install conflicting units', async () => {
+    const mlm = kernel(optional);
+    await mlm.install('modern');
+    await assertThrows(() => mlm.install('legacy'), 'legacy conflicts with #modern');
+  });
+
+  it('reports conflicts and missing optionals in analyze', async () => {
+    const result = await kernel(optional).analyze(['app', 'legacy', 'modern']);
+    assert(result.errors.some(e => e.includes('legacy conflicts with #modern')));
+    assert(result.warnings.some(w => w.includes('missing')));
+  });
+});
+
+describe('Unit catalog', () => {
+  let factoryCalls = 0;
+  const listed = {
+    web: { info: { description: 'Web server', version: '1.0.0', provides: ['#http'] }, default: () => { factoryCalls++; return {}; } },
+    db: { info: { description: 'Database', requires: ['web'] }, default: () => ({}) },
+    broken: { default: () => ({}) },
+  };
+  const enumerate = async () => Object.keys(listed);
+
+  it('lists units from an enumerator without installing them', async () => {
+    const mlm = kernel(listed);
+    const entries = await mlm.catalog({ enumerate });
+    assert(entries.map(entry => entry.name).join() === 'broken,db,web');
+    assert(entries[2].version === '1.0.0' && entries[2].provides[0] === '#http');
+    assert(factoryCalls === 0 && !Object.keys(mlm.units).length);
+  });
+
+  it('reports load errors per unit', async () => {
+    const [broken] = await kernel(listed).catalog({ enumerate });
+    assert(broken.error.includes('No export info'));
+  });
+
+  it('searches names, descriptions and tags', async () => {
+    const entries = await kernel(listed).catalog({ enumerate, filter: 'http' });
+    assert(entries.length === 1 && entries[0].name === 'web');
+  });
+});
+
+describe('Test kit', () => {
+  const testUnits = {
+    db: () => ({ define: { db: () => 'real' }, onStart() { } }),
+    api: {
+      info: { requires: ['db'] },
+      default: ctx => ({ define: { api: () => 'api on ' + ctx.db }, onStart() { ctx.log('listening'); } })
+    },
+  };
+
+  it('stubs context properties before dependents install', async () => {
+    const kit = createTestKernel({ units: testUnits, stubs: { db: 'fake' } });
+    await kit.install('api');
+    assert(kit.context.api === 'api on fake');
+  });
+
+  it('records lifecycle order', async () => {
+    const kit = createTestKernel({ units: testUnits });
+    await kit.install('api');
+    await kit.mlm.start();
+    kit.assertOrder(['db:onStart', 'api:onStart']);
+    assertThrows(() => kit.assertOrder(['api:onStart', 'db:onStart']), 'Expected lifecycle order');
+  });
+
+  it('captures logs per unit', async () => {
+    const kit = createTestKernel({ units: testUnits });
+    await kit.install('api');
+    await kit.mlm.start();
+    assert(kit.logsOf('api').includes('listening'));
+  });
+});
+
+describe('Context isolation', () => {
+  const isolated = {
+    db: () => ({ define: { db: () => 'db' } }),
+    cache: { info: { requires: ['db'] }, default: () => ({ define: { cache: () => 'cache' } }) },
+    api: { info: { requires: ['cache'] }, default: ctx => ({ define: { api: () => ctx.db + '+' + ctx.cache } }) },
+    sneaky: () => ({ define: { sneaky: { transient: true, factory: ctx => ctx.cache } } }),
+  };
+
+  it('allows transitive dependencies', async () => {
+    const kit = createTestKernel({ units: isolated, isolation: 'strict' });
+    await kit.install('api');
+    assert(kit.context.api === 'db+cache');
+  });
+
+  it('lets factories read declared dependencies', async () => {
+    const kit = createTestKernel({
+      units: { ...isolated, eager: { info: { requires: ['cache'] }, default: ctx => {
+        const value = ctx.db + ctx.cache;
+        return { define: { eager: () => value } };
+      } } },
+      isolation: 'strict'
+    });
+    await kit.install('cache');
+    await kit.install('eager');
+    assert(kit.context.eager === 'dbcache');
+  });
+
+  it('rejects undeclared access in strict mode', async () => {
+    const kit = createTestKernel({ units: isolated, isolation: 'strict' });
+    await kit.install('api', 'sneaky');
+    assertThrows(() => kit.context.sneaky, "Unit 'sneaky' accessed context property 'cache'");
+  });
+
+  it('logs undeclared access once in audit mode', async () => {
+    const kit = createTestKernel({ units: isolated, isolation: 'audit' });
+    await kit.install('api', 'sneaky');
+    assert(kit.context.sneaky === 'cache' && kit.context.sneaky === 'cache');
+    assert(kit.logsOf('MLM Core').filter(line => line.startsWith('Audit:')).length === 1);
+  });
+});
+
+describe('Health and status', () => {
+  let dbHealthy = true;
+  const checked = {
+    db: { info: { version: '1.0.0' }, default: () => ({ healthCheck: () => dbHealthy && { connections: 3 } }) },
+    slow: { info: { requires: ['db'], timeouts: { healthCheck: 20 } }, default: () => ({ healthCheck: () => new Promise(resolve => setTimeout(resolve, 200)) }) },
+  };
+
+  it('reports phases and skips checks before start', async () => {
+    const mlm = kernel(checked);
+    await mlm.install('db');
+    const status = await mlm.status();
+    assert(status.state === 'idle' && !status.healthy);
+    assert(status.units.db.phase === 'installed' && status.units.db.health === null);
+  });
+
+  it('aggregates health results of started units', async () => {
+    dbHealthy = true;
+    const mlm = kernel(checked);
+    await mlm.install('db');
+    await mlm.start();
+    let status = await mlm.status();
+    assert(status.healthy && status.units.db.health.details.connections === 3);
+    assert(status.units.db.timings.startedAt !== null);
+    dbHealthy = false;
+    status = await mlm.status();
+    assert(!status.healthy && status.units.db.health.error === 'Reported unhealthy');
+  });
+
+  it('times out slow health checks', async () => {
+    dbHealthy = true;
+    const mlm = kernel(checked);
+    await mlm.install('slow');
+    await mlm.start();
+    const { healthy, units } = await mlm.status();
+    assert(!healthy && units.slow.health.error.includes('Timed out'));
+  });
+});
+
+describe('Restartable lifecycle', () => {
+  const calls = [];
+  const restartable = {
+    db: { info: {}, default: () => ({ onStart(config) { calls.push('db:start:' + config.mode); }, onStop() { calls.push('db:stop'); } }) },
+    api: { info: { requires: ['db'] }, default: () => ({ onStart() { calls.push('api:start'); } }) },
+    bad: { info: {}, default: () => ({ define: { bad: () => true }, onStart() { throw new Error('boom'); } }) },
+  };
+
+  it('starts again after stop', async () => {
+    calls.length = 0;
+    const mlm = kernel(restartable);
+    await mlm.install('db');
+    await mlm.start({ mode: 'a' });
+    await mlm.stop();
+    assert(mlm.can('start') && !mlm.can('stop'));
+    await mlm.start({ mode: 'b' });
+    assert(mlm.state === 'started' && calls.join() === 'db:start:a,db:stop,db:start:b');
+  });
+
+  it('restarts with the previous config', async () => {
+    calls.length = 0;
+    const mlm = kernel(restartable);
+    await mlm.install('db');
+    await mlm.start({ mode: 'a' });
+    await mlm.restart();
+    assert(calls.join() === 'db:start:a,db:stop,db:start:a');
+  });
+
+  it('starts again with the previous config when none is given', async () => {
+    calls.length = 0;
+    const mlm = kernel(restartable);
+    await mlm.install('db');
+    await mlm.start({ mode: 'a' });
+    await mlm.stop();
+    await mlm.start();
+    assert(calls.join() === 'db:start:a,db:stop,db:start:a');
+  });
+
+  it('starts units installed after start', async () => {
+    calls.length = 0;
+    const mlm = kernel(restartable);
+    await mlm.install('db');
+    await mlm.start({ mode: 'a' });
+    await mlm.install('api');
+    assert(mlm.state === 'started' && calls.at(-1) === 'api:start');
+  });
+
+  it('rolls back units that fail to start after start', async () => {
+    const mlm = kernel(restartable);
+    await mlm.start();
+    const error = await mlm.install('bad').catch(e => e);
+    assert(error instanceof InstallError && error.phase === 'start');
+    assert(!mlm.units.bad && !('bad' in mlm.context) && mlm.state === 'started');
+  });
+
+  it('refuses actions the state does not allow', async () => {
+    const mlm = kernel(restartable);
+    assert(mlm.transitions.start.from.includes('stopped'));
+    await assertThrows(() => mlm.restart(), 'Not started');
+    await mlm.start();
+    await assertThrows(() => mlm.start(), 'Cannot start when started');
+  });
+});
+
+describe('Tracing', () => {
+  const traced = {
+    db: { info: {}, default: () => ({ define: { db: () => 'db' }, onStart() { } }) },
+    api: { info: { requires: ['db'] }, default: () => ({ onReady() { }, onStart() { throw new Error('boom'); } }) },
+  };
+
+  it('records spans per unit phase', async () => {
+    const mlm = kernel(traced, { trace: true });
+    await mlm.install('api');
+    await mlm.start().catch(() => { });
+    const names = mlm.spans.map(span => `${span.unit}:${span.name}`);
+    for (const name of ['db:import', 'db:factory', 'db:loader define', 'api:onReady', 'db:onStart', 'null:start']) {
+      assert(names.includes(name), 'missing span ' + name);
+    }
+    assert(mlm.spans.find(span => span.unit === 'api' && span.name === 'onStart').error === 'boom');
+  });
+
+  it('exports Chrome trace events and a summary', async () => {
+    const mlm = kernel(traced, { trace: true });
+    await mlm.install('db');
+    const { traceEvents } = JSON.parse(formatTrace(mlm.spans, 'chrome'));
+    assert(traceEvents.some(event => event.ph === 'M' && event.args.name === 'db'));
+    assert(traceEvents.some(event => event.ph === 'X' && event.name === 'factory'));
+    assert(formatTrace(mlm.spans, 'summary').split('\n')[1].startsWith('db'));
+  });
+
+  it('records nothing unless enabled', async () => {
+    const mlm = kernel(traced);
+    await mlm.install('db');
+    assert(mlm.spans.length === 0);
+  });
+});
+
+describe('Logging', () => {
+  const chatty = {
+    db: { info: {}, default: ctx => ({ onReady() { ctx.log.debug('pool ready'); ctx.log.warn('slow', { ms: 5 }); ctx.log.child('pool').debug('idle'); } }) },
+  };
+
+  it('filters by level per namespace', async () => {
+    const records = [];
+    const mlm = kernel(chatty, { log: { level: 'warn', levels: { 'db:pool': 'debug' }, sink: record => records.push(record) } });
+    await mlm.install('db');
+    assert(records.map(record => `${record.namespace} ${record.level} ${record.message}`).join() === 'db warn slow,db:pool debug idle');
+    assert(records[0].fields.ms === 5);
+  });
+
+  it('keeps function sinks working', async () => {
+    const lines = [];
+    const mlm = kernel(chatty, { log: (namespace, ...args) => lines.push(namespace) });
+    await mlm.install('db');
+    assert(lines.includes('db') && !lines.includes('db:pool'));
+  });
+
+  it('rejects unknown levels', () => {
+    assertThrows(() => MLM({ log: { level: 'loud' } }), "Invalid log level 'loud'");
+  });
+});
+
+describe('Late loaders', () => {
+  const handled = [];
+  const late = {
+    api: { info: {}, default: () => ({ routes: { '/users': true }, extra: true }) },
+    http: { info: {}, default: () => ({ register: { routes: (conf, unit) => { handled.push(unit.name); } } }) },
+  };
+
+  it('replays keys of units installed before the loader', async () => {
+    handled.length = 0;
+    const kit = createTestKernel({ units: late });
+    await kit.install('api', 'http');
+    assert(handled.join() === 'api');
+    assert(kit.logsOf('api').some(line => line.includes("Config key 'routes' handled by loader from unit http")));
+  });
+
+  it('hands the keys back when the loader unit is rolled back', async () => {
+    const routes = [];
+    const mlm = kernel({
+      ...late,
+      http: { info: {}, default: () => ({ register: { routes: () => { routes.push('http'); return () => routes.pop(); } }, onReady() { throw new Error('no port'); } }) },
+      http2: { info: {}, default: () => ({ register: { routes: (conf, unit) => { routes.push('http2 ' + unit.name); } } }) },
+    });
+    await mlm.install('api');
+    await assertThrows(() => mlm.install('http'), 'no port');
+    assert(routes.length === 0);
+    await mlm.install('http2');
+    assert(routes.join() === 'http2 api');
+  });
+
+  it('warns about keys no loader handled', async () => {
+    const kit = createTestKernel({ units: late });
+    await kit.install('api', 'http');
+    await kit.mlm.start();
+    assert(kit.logsOf('api').includes("Ignoring config: no loader for config key 'extra'"));
+  });
+
+  it('fails start on unhandled keys in strict mode', async () => {
+    const mlm = kernel(late, { strict: true });
+    await mlm.install('api');
+    const error = await mlm.start().catch(e => e);
+    assert(error instanceof ConfigError && error.errors.api.length === 2);
+    assert(mlm.state === 'idle');
+  });
+});
+
+describe('Decorate and override', () => {
+  const layered = {
+    logger: { info: {}, default: () => ({ define: { logger: () => ({ info: msg => msg }), counter: { lazy: true, factory: () => ({ count: 1 }) } } }) },
+    tracing: { info: { requires: ['logger'] }, default: () => ({ 'decorate.logger': logger => ({ info: msg => 'traced ' + logger.info(msg) }) }) },
+    lazyWrap: { info: {}, default: () => ({ 'decorate.counter': counter => ({ count: counter.count + 1 }) }) },
+    fake: { info: {}, default: () => ({ 'override.logger': () => ({ info: msg => 'fake ' + msg }) }) },
+    dangling: { info: {}, default: () => ({ 'decorate.missing': value => value }) },
+  };
+
+  it('decorates in install order and restores on uninstall', async () => {
+    const mlm = kernel(layered);
+    await mlm.install('tracing');
+    assert(mlm.context.logger.info('x') === 'traced x');
+    await mlm.install('fake');
+    assert(mlm.context.logger.info('x') === 'fake x');
+    await mlm.uninstall('fake');
+    assert(mlm.context.logger.info('x') === 'traced x');
+  });
+
+  it('keeps lazy services lazy', async () => {
+    const mlm = kernel(layered);
+    await mlm.install('logger');
+    await mlm.install('lazyWrap');
+    assert(mlm.context.counter.count === 2 && mlm.context.counter === mlm.context.counter);
+  });
+
+  it('tracks provenance and makes layers depend on each other', async () => {
+    const mlm = kernel(layered);
+    await mlm.install('tracing');
+    await mlm.install('fake');
+    const { definedBy, overriddenBy, decoratedBy } = mlm.provenance('logger');
+    assert(definedBy === 'logger' && overriddenBy === 'fake' && decoratedBy.join() === 'tracing');
+    await assertThrows(() => mlm.uninstall('tracing'), 'required by fake');
+  });
+
+  it('refuses to decorate undefined properties', async () => {
+    const error = await kernel(layered).install('dangling').catch(e => e);
+    assert(error instanceof InstallError && error.message.includes("Cannot decorate context property 'missing'"));
+  });
+});
+
+describe('REPL', () => {
+  const units = {
+    cache: { info: { provides: ['#store'] }, default: () => ({ define: { cache: { lazy: true, factory: () => new Map([['a', 1]]) } }, repl: { size: () => 'size 1' } }) },
+  };
+
+  // feed lines to a REPL on streams and collect what it prints
+  const session = async (mlm, lines) => {
+    const input = new PassThrough(), output = new PassThrough();
+    let text = '';
+    output.on('data', chunk => text += chunk);
+    const done = mlm.repl({}, { input, output });
+    for (const line of lines) {
+      input.write(line + '\n');
+      await sleep(20);
+    }
+    input.end('.exit\n');
+    await done;
+    return text;
+  };
+
+  it('lists units and runs unit commands', async () => {
+    const mlm = kernel(units);
+    await mlm.install('cache');
+    const text = await session(mlm, ['.units', '.tags', '.size']);
+    assert(text.includes('cache') && text.includes('#store') && text.includes('size 1'));
+  });
+
+  it('installs units and syncs the context', async () => {
+    const mlm = kernel(units);
+    const text = await session(mlm, ['.install cache', 'cache.get("a")', '.uninstall cache', '.size']);
+    assert(text.includes('Installed cache.') && text.includes('1') && text.includes('Invalid REPL keyword'));
+    assert(!mlm.units.cache);
+  });
+});
+
+describe('Child kernels', () => {
+  const shared = {
+    db: { info: { version: '1.0.0' }, default: () => ({ define: { db: () => ({ query: () => 'rows' }) } }) },
+    tenant: { info: { requires: ['db@^1'] }, default: mlm => ({ define: { tenant: () => ({ rows: mlm.db.query() }) } }) },
+    newer: { info: { requires: ['db@^2'] }, default: () => ({}) },
+    clash: { info: {}, default: () => ({ define: { db: () => 'mine' } }) },
+  };
+
+  it('inherits the parent context and requirements', async () => {
+    const app = kernel(shared);
+    await app.install('db');
+    const child = app.createChild();
+    await child.install('tenant');
+    assert(!child.units.db && child.context.tenant.rows === 'rows' && child.context.db === app.context.db);
+    assert(!('tenant' in app.context));
+  });
+
+  it('refuses to redefine parent properties or break constraints', async () => {
+    const app = kernel(shared);
+    await app.install('db');
+    const child = app.createChild();
+    const error = await child.install('clash').catch(e => e);
+    assert(error instanceof InstallError && error.message.includes('already exists in the parent context'));
+    await assertThrows(() => child.install('newer'), 'not satisfied by unit db');
+  });
+
+  it('is stopped before the parent and protects what it relies on', async () => {
+    const events = [];
+    const app = kernel({
+      db: { info: {}, default: () => ({ define: { db: () => ({}) }, onStop: () => events.push('db') }) },
+      tenant: { info: { requires: ['db'] }, default: () => ({ onStop: () => events.push('tenant') }) },
+    });
+    await app.install('db');
+    const child = app.createChild({ name: 'acme' });
+    await child.install('tenant');
+    await assertThrows(() => child.start(), 'Parent kernel is not started');
+    await app.start();
+    await child.start();
+    await assertThrows(() => app.uninstall('db'), 'required by child kernel acme');
+    await app.stop();
+    assert(child.state === 'stopped' && events.join() === 'tenant,db');
+  });
+
+  it('handles child config with loaders of parent units', async () => {
+    const routes = [];
+    const app = kernel({
+      router: { info: {}, default: () => ({ register: { routes: (conf, unit) => { routes.push(unit.name + ' ' + Object.keys(conf)); } } }) },
+      tenant: { info: { requires: ['router'] }, default: () => ({ routes: { '/acme': true } }) },
+      early: { info: {}, default: () => ({ routes: { '/early': true } }) },
+    });
+    const child = app.createChild({ name: 'acme' });
+    await child.install('early');
+    await app.install('router');
+    await child.install('tenant');
+    assert(routes.join() === 'early /early,tenant /acme');
+    await assertThrows(() => app.uninstall('router'), 'required by child kernel acme');
+  });
+
+  it('protects parent units through their dependents, before the child starts', async () => {
+    const app = kernel({
+      db: { info: {}, default: () => ({ define: { db: () => ({}) } }) },
+      cache: { info: { requires: ['db'] }, default: () => ({ define: { cache: () => ({}) } }) },
+      tenant: { info: { requires: ['cache'] }, default: () => ({}) },
+    });
+    await app.install('cache');
+    const child = app.createChild({ name: 'acme' });
+    await child.install('tenant');
+    await assertThrows(() => app.uninstall('db', { cascade: true }), 'required by child kernel acme');
+    await assertThrows(() => app.reload('db'), 'required by child kernel acme');
+    await child.uninstall('tenant');
+    await app.uninstall('db', { cascade: true });
+    assert(!app.units.cache);
+  });
+});
+
+describe('Command line', () => {
+  const bin = fileURLToPath(new URL('../bin/mlm.js', import.meta.url));
+  const files = {
+    'srv.js': `export const info = {};
+      export default () => {
+        let timer;
+        return {
+          onStart() { timer = setInterval(() => {}, 1000); console.log('srv up'); },
+          onStop() { clearInterval(timer); console.log('srv stopped'); }
+        };
+      };`,
+    'bad.js': `export const info = { requires: ['srv'] };
+      export default () => ({ onStart() { throw new Error('bad start'); } });`,
+    'idle.js': `export const info = {};
+      export default () => ({ onStart() { console.log('idle up'); }, onStop() { console.log('idle stopped'); } });`,
+  };
+  const unitDir = (async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'mlm-cli-'));
+    process.on('exit', () => rmSync(dir, { recursive: true, force: true }));
+    for (const file in files) await writeFile(path.join(dir, file), files[file]);
+    return dir;
+  })();
+
+  // run the bin, sending SIGINT once the output includes `until`; killed if it does not end in time
+  const cli = async (args, { until } = {}) => {
+    const dir = await unitDir;
+    return new Promise((resolve) => {
+      const child = spawn(process.execPath, [bin, ...args, '-u', dir], { cwd: dir });
+      const timer = setTimeout(() => child.kill('SIGKILL'), 10000);
+      let output = '';
+      const collect = (chunk) => {
+        output += chunk;
+        if (until && output.includes(until)) {
+          until = null;
+          child.kill('SIGINT');
+        }
+      }
+      child.stdout.on('data', collect);
+      child.stderr.on('data', collect);
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        resolve({ code, output });
+      });
+    });
+  };
+
+  it('stops started units when start fails', async () => {
+    const { code, output } = await cli(['run', 'bad']);
+    assert(code === 1 && output.includes('bad start'));
+    assert(output.includes('srv up') && output.includes('srv stopped'));
+  });
+
+  it('keeps running until a signal, then stops', async () => {
+    const { code, output } = await cli(['run', 'idle'], { until: 'Running' });
+    assert(code === 0 && output.includes('idle up') && output.includes('idle stopped'));
   });
 });
 
@@ -2,6 +2,8 @@
 const RESET = '\x1b[0m', RED = '\x1b[31m', GREEN = '\x1b[32m', YELLOW = '\x1b[33m', DIM = '\x1b[2m';
 
 let depth = 0, total = 0, failed = 0, failures = [], onlyMode = false, onlys = [];
+// describe() collects headings and tests here; report() runs them in order, awaiting each test
+const queue = [];
 
 /* ---------- helpers ---------- */
 const indent = () => '  '.repeat(depth);
@@ -12,17 +14,22 @@ function print(msg, colour = '') { log(colour + msg + RESET); }
 
 /* ---------- public API ---------- */
 export function describe(title, fn) {
-  print('▶ ' + title, YELLOW);
+  queue.push({ heading: title, depth });
   depth++;
   fn();
   depth--;
 }
 
 export function it(title, fn) {
+  queue.push({ title, fn, depth });
+}
+it.only = (title, fn) => { onlyMode = true; onlys.push(fn); it(title, fn); };
+
+async function run({ title, fn }) {
   if (onlyMode && !onlys.includes(fn)) return;
   total++;
   try {
-    fn();
+    await fn();
     print('✓ ' + title, GREEN);
   } catch (err) {
     failed++;
@@ -30,26 +37,40 @@ export function it(title, fn) {
     failures.push({ title, err });
   }
 }
-it.only = (title, fn) => { onlyMode = true; onlys.push(fn); it(title, fn); };
 
 export function assert(cond, msg = 'Assertion failed') {
   if (!cond) throw new Error(msg);
 }
 
+// for a function returning a promise, returns a promise that rejects unless that one does
 export function assertThrows(fn, expectedMsg) {
-  let threw = false, err;
-  try { fn(); } catch (e) { threw = true; err = e; }
-  if (!threw) throw new Error('Expected function to throw');
-  if (expectedMsg && !err.message.includes(expectedMsg)) {
-    throw new Error(`Expected error containing "${expectedMsg}", got "${err.message}"`);
+  const check = (err) => {
+    if (expectedMsg && !err.message.includes(expectedMsg)) {
+      throw new Error(`Expected error containing "${expectedMsg}", got "${err.message}"`);
+    }
+  };
+  let result;
+  try { result = fn(); } catch (e) { return check(e); }
+  if (result instanceof Promise) {
+    return result.then(() => { throw new Error('Expected function to reject'); }, check);
   }
+  throw new Error('Expected function to throw');
 }
 
 export function assertDoesNotThrow(fn) {
-  try { fn(); } catch (e) { throw new Error(`Expected no error, got: ${e.message}`); }
+  const fail = (e) => { throw new Error(`Expected no error, got: ${e.message}`); };
+  let result;
+  try { result = fn(); } catch (e) { fail(e); }
+  if (result instanceof Promise) return result.then(() => { }, fail);
 }
 
-export function report() {
+export async function report() {
+  for (const entry of queue) {
+    depth = entry.depth;
+    if (entry.heading) print('▶ ' + entry.heading, YELLOW);
+    else await run(entry);
+  }
+  depth = 0;
   console.log('\n' + DIM + '--- Summary ---' + RESET);
   if (failed) {
     failures.forEach(({ title, err }) => {